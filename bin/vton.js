@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+// bin/vton.js
+// First, so .env is loaded before any module below reads its configuration at import time
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { Console } from "console";
+import { parseArgs } from "util";
+import sharp from "sharp";
+import { tryOnServiceFromEnv } from "../services/VirtualTryOnService.js";
+import { imageProcessorFromEnv } from "../services/ImageProcessor.js";
+import ImageFetcher from "../services/ImageFetcher.js";
+import { validateTryOnParams } from "../services/tryOnParams.js";
+import { readManifest } from "../services/manifest.js";
+import TryOnError, { ERROR_CODES, toErrorResponse } from "../services/TryOnError.js";
+
+const USAGE = `Usage:
+  vton run --person <image> --garment <image> --out <file> [options]
+  vton batch <manifest.csv> [--out-dir <dir>] [options]
+
+Images are file paths or http(s) URLs. Results are written as PNG, JPEG or WebP,
+chosen by the output file's extension.
+
+Generation options (defaults for every manifest row):
+  --description <text>     Garment description
+  --category <name>        upper | lower | dress (the gradio backend supports upper only)
+  --auto-crop              Let the model crop the person image
+  --denoise-steps <n>      20-40
+  --seed <n>
+
+Batch options:
+  --out-dir <dir>          Where results go (default: ./vton-output)
+  --format <ext>           png | jpg | webp, for rows without an "out" column (default: png)
+  --concurrency <n>        Try-ons in flight at once (default: VTON_MAX_CONCURRENCY or 1)
+  --summary <file>         JSON report (default: <out-dir>/summary.json)
+  --force                  Redo rows whose output already exists
+
+Other options:
+  --verbose                Log service and provider activity to stderr
+  --help
+
+The manifest is CSV with a header row: person and garment are required; id, out,
+garmentDescription, garmentCategory, autoCrop, denoiseSteps and seed are optional.
+Relative image paths are resolved from the manifest's folder and "out" from --out-dir.
+Rows whose output file exists are skipped, so an interrupted batch can be re-run.
+
+The backend is configured as for the server (VTON_PROVIDER, HF_TOKEN, VTON_CACHE, ...).
+The JSON summary is printed to stdout; progress goes to stderr.
+Exit status: 0 when every try-on succeeded, 1 when any failed, 2 for invalid input.`;
+
+const OPTIONS = {
+  person: { type: "string" },
+  garment: { type: "string" },
+  out: { type: "string" },
+  "out-dir": { type: "string" },
+  format: { type: "string" },
+  concurrency: { type: "string" },
+  summary: { type: "string" },
+  force: { type: "boolean" },
+  description: { type: "string" },
+  category: { type: "string" },
+  "auto-crop": { type: "boolean" },
+  "denoise-steps": { type: "string" },
+  seed: { type: "string" },
+  verbose: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+const OUTPUT_FORMATS = { png: "png", jpg: "jpeg", jpeg: "jpeg", webp: "webp" };
+
+class UsageError extends Error {}
+
+const stderr = new Console(process.stderr);
+const quietLogger = { debug() {}, info() {}, log() {}, warn() {}, error() {} };
+
+/**
+ * Generation parameters given as flags; manifest cells override them
+ */
+const paramsFromFlags = (values) => ({
+  garmentDescription: values.description,
+  garmentCategory: values.category,
+  autoCrop: values["auto-crop"],
+  denoiseSteps: values["denoise-steps"],
+  seed: values.seed,
+});
+
+const outputFormat = (file) => {
+  const format = OUTPUT_FORMATS[path.extname(file).slice(1).toLowerCase()];
+  if (!format) throw new UsageError(`Unsupported output type for ${file}. Use .png, .jpg or .webp.`);
+  return format;
+};
+
+/**
+ * Loads and normalizes input images the same way the API does, once per distinct source
+ */
+const createImageLoader = () => {
+  const processor = imageProcessorFromEnv();
+  // The operator chose these URLs, so any host (including the local network) is fine
+  const fetcher = new ImageFetcher({
+    allowedHosts: ["*"],
+    allowPrivateAddresses: true,
+    maxBytes: process.env.VTON_MAX_UPLOAD_BYTES ? parseInt(process.env.VTON_MAX_UPLOAD_BYTES, 10) : undefined,
+  });
+  const loaded = new Map();
+
+  return (source, label) => {
+    const key = `${label}:${source}`;
+    if (!loaded.has(key)) {
+      const read = /^https?:\/\//i.test(source)
+        ? fetcher.fetch(source, { label })
+        : fs.promises.readFile(source).catch((error) => {
+            throw new TryOnError(ERROR_CODES.INVALID_REQUEST, `Cannot read the ${label} image ${source}: ${error.code || error.message}`);
+          });
+      loaded.set(key, read.then((buffer) => processor.normalize(buffer, label)).then((image) => image.toString("base64")));
+    }
+    return loaded.get(key);
+  };
+};
+
+/**
+ * Write a result image, converted to the output file's format. The file only appears
+ * once complete, so a run interrupted mid-write is not mistaken for a finished row.
+ */
+const writeResult = async (processedImageBase64, file) => {
+  const image = await sharp(Buffer.from(processedImageBase64, "base64")).toFormat(outputFormat(file)).toBuffer();
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const partial = `${file}.partial`;
+  await fs.promises.writeFile(partial, image);
+  await fs.promises.rename(partial, file);
+};
+
+/**
+ * Run one try-on and write its result. Resolves with the item's report; never rejects.
+ */
+const runItem = async (service, loadImage, item) => {
+  const started = Date.now();
+  const report = {
+    ...(item.line ? { line: item.line } : {}),
+    id: item.id,
+    person: item.person,
+    garment: item.garment,
+    out: item.out,
+    params: item.params,
+  };
+
+  try {
+    const [personImageBase64, garmentImageBase64] = await Promise.all([
+      loadImage(item.personPath, "person"),
+      loadImage(item.garmentPath, "garment"),
+    ]);
+    const result = await service.processImage(personImageBase64, garmentImageBase64, { params: item.params });
+    await writeResult(result.processedImage, item.out);
+    return { ...report, status: "succeeded", cached: !!result.cached, durationMs: Date.now() - started };
+  } catch (error) {
+    const { body } = toErrorResponse(error);
+    return {
+      ...report,
+      status: "failed",
+      durationMs: Date.now() - started,
+      error: { code: body.code, message: body.message, errorDetails: body.errorDetails },
+    };
+  }
+};
+
+const createSummary = (command, service, fields) => {
+  const { provider, model } = service.describeProvider();
+  return {
+    command,
+    ...fields,
+    provider,
+    model,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    counts: { total: 0, succeeded: 0, failed: 0, skipped: 0 },
+    items: [],
+  };
+};
+
+const countItems = (summary) => {
+  summary.counts = { total: summary.items.length, succeeded: 0, failed: 0, skipped: 0 };
+  summary.items.forEach((item) => {
+    if (item) summary.counts[item.status]++;
+  });
+};
+
+const runCommand = async (values, service) => {
+  if (!values.person || !values.garment || !values.out) {
+    throw new UsageError("vton run needs --person, --garment and --out.");
+  }
+  outputFormat(values.out);
+
+  const { params, errors } = validateTryOnParams(paramsFromFlags(values), { garmentCategories: service.garmentCategories() });
+  if (errors.length > 0) throw new UsageError(errors.join(" "));
+
+  const item = {
+    id: path.basename(values.out, path.extname(values.out)),
+    person: values.person,
+    garment: values.garment,
+    personPath: values.person,
+    garmentPath: values.garment,
+    out: path.resolve(values.out),
+    params,
+  };
+
+  const summary = createSummary("run", service, {});
+  stderr.log(`Trying on ${item.garment} with ${item.person}...`);
+  summary.items.push(await runItem(service, createImageLoader(), item));
+  summary.finishedAt = new Date().toISOString();
+  countItems(summary);
+  return summary;
+};
+
+const batchCommand = async (values, positionals, service) => {
+  const [manifestFile] = positionals;
+  if (!manifestFile) throw new UsageError("vton batch needs a manifest file.");
+
+  const outDir = path.resolve(values["out-dir"] || "vton-output");
+  const format = values.format || "png";
+  if (!OUTPUT_FORMATS[format]) throw new UsageError("--format must be png, jpg or webp.");
+  const concurrency = parseInt(values.concurrency || process.env.VTON_MAX_CONCURRENCY || "1", 10);
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new UsageError("--concurrency must be a positive integer.");
+  const summaryFile = path.resolve(values.summary || path.join(outDir, "summary.json"));
+
+  const defaults = paramsFromFlags(values);
+  const garmentCategories = service.garmentCategories();
+  const flagErrors = validateTryOnParams(defaults, { garmentCategories }).errors;
+  if (flagErrors.length > 0) throw new UsageError(flagErrors.join(" "));
+
+  let text;
+  try {
+    text = await fs.promises.readFile(manifestFile, "utf8");
+  } catch (error) {
+    throw new UsageError(`Cannot read ${manifestFile}: ${error.message}`);
+  }
+  const { items: rows, errors } = readManifest(text, { defaults, garmentCategories });
+  if (errors.length > 0) throw new UsageError(`Invalid manifest:\n  ${errors.join("\n  ")}`);
+
+  const baseDir = path.dirname(path.resolve(manifestFile));
+  const resolveImage = (source) => (/^https?:\/\//i.test(source) ? source : path.resolve(baseDir, source));
+  const items = rows.map((row) => ({
+    ...row,
+    personPath: resolveImage(row.person),
+    garmentPath: resolveImage(row.garment),
+    out: path.resolve(outDir, row.out || `${row.id.replace(/[^\w.-]+/g, "_")}.${format}`),
+  }));
+
+  const outputs = new Set();
+  for (const item of items) {
+    outputFormat(item.out);
+    if (outputs.has(item.out)) throw new UsageError(`Line ${item.line}: ${item.out} is also written by another row.`);
+    outputs.add(item.out);
+  }
+
+  const summary = createSummary("batch", service, {
+    manifest: path.resolve(manifestFile),
+    outDir,
+    concurrency,
+  });
+  summary.items = new Array(items.length).fill(null);
+
+  // Rewritten after every row so an interrupted run still leaves a report
+  const saveSummary = () => {
+    countItems(summary);
+    fs.mkdirSync(path.dirname(summaryFile), { recursive: true });
+    fs.writeFileSync(summaryFile, JSON.stringify(summary, null, 2));
+  };
+
+  const loadImage = createImageLoader();
+  let next = 0;
+  let done = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      const item = items[index];
+      let report;
+
+      if (!values.force && fs.existsSync(item.out)) {
+        report = { line: item.line, id: item.id, person: item.person, garment: item.garment, out: item.out, status: "skipped" };
+      } else {
+        report = await runItem(service, loadImage, item);
+      }
+
+      summary.items[index] = report;
+      saveSummary();
+      done++;
+      const outcome = report.status === "failed" ? `failed: ${report.error.message}` : report.status;
+      stderr.log(`[${done}/${items.length}] ${item.id} ${outcome}`);
+    }
+  };
+
+  stderr.log(`Running ${items.length} try-on(s) from ${manifestFile}, ${concurrency} at a time...`);
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+
+  summary.finishedAt = new Date().toISOString();
+  saveSummary();
+  const { succeeded, failed, skipped } = summary.counts;
+  stderr.log(`Done: ${succeeded} succeeded, ${failed} failed, ${skipped} skipped. Summary: ${summaryFile}`);
+  return summary;
+};
+
+const main = async (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...rest] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (command !== "run" && command !== "batch") throw new UsageError(`Unknown command "${command}".`);
+
+  const service = tryOnServiceFromEnv(process.env, { logger: values.verbose ? stderr : quietLogger });
+  const summary = command === "run"
+    ? await runCommand(values, service)
+    : await batchCommand(values, rest, service);
+
+  console.log(JSON.stringify(summary, null, 2));
+  return summary.counts.failed > 0 ? 1 : 0;
+};
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    if (error instanceof UsageError) {
+      stderr.error(`vton: ${error.message}\n\nRun "vton --help" for usage.`);
+      process.exitCode = 2;
+    } else {
+      stderr.error(error);
+      process.exitCode = 1;
+    }
+  }
+);
@@ -0,0 +1,61 @@
+// middleware/apiKeyAuth.js
+import { getApiKeyStore, isOriginAllowed } from "../services/ApiKeyStore.js";
+import TryOnError, { ERROR_CODES, sendError } from "../services/TryOnError.js";
+
+/**
+ * Authenticate merchant API keys sent as the X-API-Key header (or an apiKey field in a
+ * JSON or urlencoded body). Multipart uploads must use the header: this runs before the
+ * upload is parsed, so files from unauthenticated callers are never buffered.
+ *
+ * - A presented key must exist, be enabled and allow the request's Origin.
+ * - Without a key, the request passes only when keys are not required
+ *   (VTON_REQUIRE_API_KEY=true turns that off).
+ *
+ * On success the merchant is available as
+ * req.merchant = { key, name, allowedImageHosts, rateLimitPerMinute, dailyQuota }.
+ */
+const apiKeyAuth = (config = {}) => {
+  return (req, res, next) => {
+    // Read per request rather than when the routes are built, so the setting never depends on import order
+    const required = config.required ?? process.env.VTON_REQUIRE_API_KEY === "true";
+    const store = config.store || getApiKeyStore();
+    const presentedKey = req.get("X-API-Key") || (req.body && req.body.apiKey);
+
+    if (!presentedKey) {
+      if (!required) return next();
+      return sendError(res, new TryOnError(ERROR_CODES.UNAUTHORIZED, null, { messageKey: "auth.keyRequired" }));
+    }
+
+    const record = store.get(presentedKey);
+    if (!record) {
+      req.log.warn("[VTON Auth] Rejected unknown API key");
+      return sendError(res, new TryOnError(ERROR_CODES.UNAUTHORIZED, null, { messageKey: "auth.invalidKey" }));
+    }
+
+    if (!record.enabled) {
+      req.log.warn(`[VTON Auth] Rejected disabled API key for "${record.name}"`);
+      return sendError(res, new TryOnError(ERROR_CODES.FORBIDDEN, null, { messageKey: "auth.keyDisabled" }));
+    }
+
+    // Browsers always send Origin on cross-origin requests; server-to-server calls have none
+    const origin = req.get("Origin");
+    if (origin && !isOriginAllowed(record.allowedOrigins, origin)) {
+      req.log.warn(`[VTON Auth] Origin ${origin} not allowed for "${record.name}"`);
+      return sendError(res, new TryOnError(ERROR_CODES.FORBIDDEN, null, {
+        messageKey: "auth.originNotAllowed",
+        messageParams: { origin },
+      }));
+    }
+
+    req.merchant = {
+      key: record.key,
+      name: record.name,
+      allowedImageHosts: record.allowedImageHosts || [],
+      rateLimitPerMinute: record.rateLimitPerMinute,
+      dailyQuota: record.dailyQuota,
+    };
+    next();
+  };
+};
+
+export default apiKeyAuth;
@@ -0,0 +1,148 @@
+// middleware/rateLimit.js
+import TryOnError, { ERROR_CODES, sendError } from "../services/TryOnError.js";
+import { merchantLabel } from "../services/tryOnMetrics.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Fixed-window counters kept in memory. Minute windows start on the minute,
+ * daily windows at midnight UTC.
+ */
+export class WindowCounter {
+  constructor(windowMs) {
+    this.windowMs = windowMs;
+    this.counters = new Map();
+  }
+
+  windowStart(now) {
+    return Math.floor(now / this.windowMs) * this.windowMs;
+  }
+
+  /**
+   * Current usage for an identity: { count, resetAt } (resetAt in ms since epoch)
+   */
+  peek(id, now = Date.now()) {
+    const start = this.windowStart(now);
+    const entry = this.counters.get(id);
+    const count = entry && entry.start === start ? entry.count : 0;
+    return { count, resetAt: start + this.windowMs };
+  }
+
+  increment(id, now = Date.now(), amount = 1) {
+    const start = this.windowStart(now);
+    const entry = this.counters.get(id);
+    if (entry && entry.start === start) {
+      entry.count += amount;
+    } else {
+      this.counters.set(id, { start, count: amount });
+    }
+  }
+
+  /**
+   * Drop counters from past windows
+   */
+  prune(now = Date.now()) {
+    const start = this.windowStart(now);
+    for (const [id, entry] of this.counters) {
+      if (entry.start < start) this.counters.delete(id);
+    }
+  }
+}
+
+const readLimit = (value, fallback) => {
+  if (value === undefined || value === null || value === "") return fallback;
+  const limit = parseInt(value, 10);
+  return Number.isNaN(limit) ? fallback : limit; // 0 disables a limit
+};
+
+/**
+ * Per-IP and per-API-key rate limits (requests per minute) and daily quotas.
+ *
+ * Defaults come from env; a merchant key may override its own limits with
+ * rateLimitPerMinute / dailyQuota fields. Must run after apiKeyAuth.
+ * Responds 429 with Retry-After and RateLimit-* headers when a limit is hit.
+ *
+ * config.cost(req) lets one request count as several try-ons against the key's
+ * daily quota (a batch); every other limit counts requests.
+ */
+const rateLimit = (config = {}) => {
+  // Read per request rather than when the routes are built, so the limits never depend on import order
+  const readDefaults = () => {
+    const env = config.env || process.env;
+    return {
+      ipPerMinute: readLimit(env.VTON_RATE_LIMIT_IP_PER_MINUTE, 5),
+      ipPerDay: readLimit(env.VTON_DAILY_QUOTA_IP, 50),
+      keyPerMinute: readLimit(env.VTON_RATE_LIMIT_KEY_PER_MINUTE, 60),
+      keyPerDay: readLimit(env.VTON_DAILY_QUOTA_KEY, 2000),
+    };
+  };
+  const perMinute = new WindowCounter(MINUTE_MS);
+  const perDay = new WindowCounter(DAY_MS);
+
+  const pruneTimer = setInterval(() => {
+    perMinute.prune();
+    perDay.prune();
+  }, MINUTE_MS);
+  pruneTimer.unref();
+
+  const policy = (check) => `${check.limit};w=${(check.window === "day" ? DAY_MS : MINUTE_MS) / 1000}`;
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const defaults = readDefaults();
+    const checks = [
+      { id: `ip:${req.ip}`, counter: perMinute, limit: defaults.ipPerMinute, window: "minute" },
+      { id: `ip:${req.ip}`, counter: perDay, limit: defaults.ipPerDay, window: "day" },
+    ];
+
+    if (req.merchant) {
+      const { key, rateLimitPerMinute, dailyQuota } = req.merchant;
+      const cost = config.cost ? Math.max(1, config.cost(req)) : 1;
+      checks.push(
+        { id: `key:${key}`, counter: perMinute, limit: readLimit(rateLimitPerMinute, defaults.keyPerMinute), window: "minute" },
+        { id: `key:${key}`, counter: perDay, limit: readLimit(dailyQuota, defaults.keyPerDay), window: "day", cost }
+      );
+    }
+
+    const active = checks
+      .filter((check) => check.limit > 0)
+      .map((check) => {
+        const { count, resetAt } = check.counter.peek(check.id, now);
+        return { cost: 1, ...check, remaining: check.limit - count, resetAt };
+      });
+
+    if (active.length === 0) return next();
+
+    const exceeded = active.find((check) => check.remaining < check.cost);
+    if (exceeded) {
+      const retryAfter = Math.max(1, Math.ceil((exceeded.resetAt - now) / 1000));
+      res.set({
+        "Retry-After": String(retryAfter),
+        "RateLimit-Limit": String(exceeded.limit),
+        "RateLimit-Remaining": "0",
+        "RateLimit-Reset": String(retryAfter),
+        "RateLimit-Policy": policy(exceeded),
+      });
+      // Keys are secrets; log only their prefix
+      const subject = exceeded.id.startsWith("key:") ? `key:${merchantLabel(req.merchant)}` : exceeded.id;
+      req.log.warn(`[VTON RateLimit] ${subject} exceeded ${exceeded.limit} per ${exceeded.window}`);
+      const error = new TryOnError(exceeded.window === "day" ? ERROR_CODES.QUOTA : ERROR_CODES.RATE_LIMITED);
+      return sendError(res, error, { retryAfter });
+    }
+
+    active.forEach((check) => check.counter.increment(check.id, now, check.cost));
+
+    // Report the limit closest to running out
+    const tightest = active.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+    res.set({
+      "RateLimit-Limit": String(tightest.limit),
+      "RateLimit-Remaining": String(tightest.remaining - tightest.cost),
+      "RateLimit-Reset": String(Math.ceil((tightest.resetAt - now) / 1000)),
+      "RateLimit-Policy": policy(tightest),
+    });
+    next();
+  };
+};
+
+export default rateLimit;
@@ -0,0 +1,44 @@
+// middleware/requestId.js
+import { randomUUID } from "crypto";
+import { getLogger } from "../services/Logger.js";
+
+// IDs from a proxy or caller are kept when they look like IDs, never echoed blindly into headers and logs
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,64}$/;
+
+/**
+ * Give every request an ID for correlating logs, responses and support reports.
+ *
+ * Uses the incoming X-Request-Id when valid (so IDs from a load balancer carry
+ * through), else a new UUID. Sets req.id, req.log (a logger that tags every entry
+ * with the requestId) and the X-Request-Id response header, and logs each finished
+ * request. Safe to mount more than once; later mounts keep the first ID.
+ */
+const requestId = (config = {}) => {
+  return (req, res, next) => {
+    if (req.id) return next();
+
+    // Resolved per request, so the shared logger is only created once .env has been loaded
+    const logger = config.logger || getLogger();
+    const presented = req.get("X-Request-Id");
+    req.id = presented && REQUEST_ID_PATTERN.test(presented) ? presented : randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set("X-Request-Id", req.id);
+
+    const started = Date.now();
+    res.on("finish", () => {
+      // Polling GETs would flood info; failures are always worth seeing
+      const level = res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : req.method === "GET" ? "debug" : "info";
+      req.log[level](`[HTTP] ${req.method} ${req.originalUrl} ${res.statusCode}`, {
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        code: res.locals.errorCode,
+        durationMs: Date.now() - started,
+      });
+    });
+
+    next();
+  };
+};
+
+export default requestId;
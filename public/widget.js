@@ -1,16 +1,473 @@
 // public/widget.js
 (function() {
     // VTON_API_URL is injected by the server.js on the fly.
-    const API_ENDPOINT = (window.VTON_API_URL || "https://vton-widget-k4hh.onrender.com") + "/api/virtual-tryon/process";
+    const API_ROOT = window.VTON_API_URL || "https://vton-widget-k4hh.onrender.com";
+    const API_BASE = API_ROOT + "/api/virtual-tryon";
+    const API_ENDPOINT = API_BASE + "/process";
+
+    // Job polling: how often to ask for status and when to give up
+    const POLL_INTERVAL_MS = 3000;
+    const POLL_TIMEOUT_MS = 10 * 60 * 1000;
+
+    // Readiness: while the API reports the AI backend as warming up, widgets say so and
+    // re-check after the server's Retry-After (kept within these bounds)
+    const READINESS_URL = API_BASE + "/health/ready";
+    const READINESS_MIN_POLL_MS = 3000;
+    const READINESS_MAX_POLL_MS = 30000;
     
-    // Global variables for the standard widget UI
-    let globalTargetSelector = null; 
-    let widgetStatusElement = null; // Status for the main interactive widget
+    // Generation parameters accepted by the API (validated server-side)
+    const PARAM_NAMES = ['garmentDescription', 'garmentCategory', 'autoCrop', 'denoiseSteps', 'seed'];
+
+    // Bundled message catalogs: widget labels, status messages and the text for each
+    // server error code. The locale comes from VTON.init({ locale }), data-locale or the
+    // browser (navigator.languages); missing entries fall back to English. Merchants can
+    // override any entry with VTON.init({ messages: { VTON_TIMEOUT: '...' } }) and add
+    // locales with VTON.addMessages('ar', { ... }). In error texts {message} is the
+    // server's own (localized) text and {wait} the time until a rate limit resets.
+    const CATALOGS = {
+        en: {
+            title: '🛍️ Virtual Try-On',
+            personUpload: '1. Upload Your Photo (JPG/PNG):',
+            garmentUpload: '2. Upload Cloth/Garment Photo (JPG/PNG):',
+            personPreview: 'Your Photo',
+            garmentPreview: 'Cloth Photo',
+            generateButton: 'Generate Try-On Image',
+            resultTitle: 'Try-On Result:',
+            resultImage: 'Try-on result',
+            resultTarget: 'The result will appear in the page image {target}.',
+            ready: 'Ready. (Max 10MB per image)',
+            launcherButton: '👕 Try it on',
+            closeButton: 'Close',
+            useCamera: '📷 Use camera',
+            takePhoto: 'Take photo',
+            cancelCamera: 'Cancel',
+            cameraHint: 'Stand back so your head and shoulders fit the outline.',
+            rememberPhoto: 'Remember my photo on this device for {days} days',
+            forgetPhoto: 'Forget my photo',
+
+            missingImages: 'Error: Please upload both images.',
+            fetchingImages: 'Fetching images and converting to data...',
+            uploading: 'Uploading images...',
+            queued: 'Queued. This may take up to 3 minutes.',
+            waitingForSlot: 'Waiting for a free slot (position {position})...',
+            retrying: 'The AI service had a hiccup. Retrying (attempt {attempt}/{maxAttempts})...',
+            aiQueue: 'In the AI queue{eta}.',
+            aiQueuePosition: 'In the AI queue: position {position}{eta}.',
+            aiQueuePositionOf: 'In the AI queue: position {position} of {queueSize}{eta}.',
+            eta: ' (~{seconds}s)',
+            generating: 'Generating your try-on{eta}...',
+            generatingPercent: 'Generating your try-on ({percent}%){eta}...',
+            downloading: 'Almost done. Fetching the result...',
+            connecting: 'Connecting to the AI service...',
+            success: 'Success! Image generated.',
+            successCached: 'Success! Loaded your earlier result.',
+            waitMinutes: '{minutes} minute(s)',
+            waitSeconds: '{seconds} seconds',
+            cameraStarting: 'Starting camera...',
+            cameraDenied: 'Camera access was blocked. Please upload a photo instead.',
+            cameraUnavailable: 'No camera is available. Please upload a photo instead.',
+            cameraCaptured: 'Photo taken. Add the garment photo and generate when ready.',
+            preparingPhoto: 'Preparing your photo...',
+            savedPhotoLoaded: 'Using your saved photo. Add the garment photo and generate when ready.',
+            photoForgotten: 'Your saved photo has been deleted from this device.',
+            warmingUp: 'The try-on service is warming up, which can take a minute. You can add your photos meanwhile.',
+            serviceUnavailable: 'Try-on is temporarily unavailable. We will keep checking; you can add your photos meanwhile.',
+            errorReference: 'Reference: {requestId}',
+
+            VTON_TIMEOUT: "The AI took too long to respond. It may be busy, so please try again in a minute.",
+            VTON_AUTH: "Virtual try-on is temporarily unavailable. Please try again later.",
+            VTON_UPSTREAM_UNAVAILABLE: "The try-on service is waking up or busy. Please try again shortly.",
+            VTON_UPSTREAM_ERROR: "The AI couldn't create your try-on this time. Please try again.",
+            VTON_INVALID_IMAGE: "{message}",
+            VTON_INVALID_REQUEST: "Please upload both photos and try again.",
+            VTON_PAYLOAD_TOO_LARGE: "That photo is too large. Please choose a smaller image.",
+            VTON_UNAUTHORIZED: "Virtual try-on isn't available on this site right now.",
+            VTON_FORBIDDEN: "Virtual try-on isn't available on this site right now.",
+            VTON_RATE_LIMITED: "You're trying on a lot at once! Please wait {wait} and try again.",
+            VTON_QUOTA: "You've reached today's try-on limit. Please come back tomorrow.",
+            VTON_JOB_NOT_FOUND: "Your try-on expired before it finished. Please try again.",
+            VTON_HEIC_UNSUPPORTED: "iPhone HEIC photos can't be read in this browser. Please choose a JPEG or PNG, or set Settings > Camera > Formats to \"Most Compatible\".",
+            VTON_UNSUPPORTED_IMAGE: "That file isn't a photo we can read. Please choose a JPEG, PNG or WebP image.",
+            VTON_GARMENT_UNAVAILABLE: "We couldn't load this product's image for the try-on. Please refresh the page and try again.",
+            VTON_IMAGE_FETCH: "We couldn't load an image for the try-on. Please refresh the page and try again.",
+            VTON_NETWORK: "Network error: could not reach the try-on service. Please check your connection.",
+            VTON_INTERNAL: "Something went wrong on our side. Please try again."
+        },
+        es: {
+            title: '🛍️ Probador virtual',
+            personUpload: '1. Sube tu foto (JPG/PNG):',
+            garmentUpload: '2. Sube la foto de la prenda (JPG/PNG):',
+            personPreview: 'Tu foto',
+            garmentPreview: 'Prenda',
+            generateButton: 'Generar prueba virtual',
+            resultTitle: 'Resultado:',
+            resultImage: 'Resultado de la prueba',
+            resultTarget: 'El resultado aparecerá en la imagen de la página {target}.',
+            ready: 'Listo. (Máx. 10 MB por imagen)',
+            launcherButton: '👕 Pruébatelo',
+            closeButton: 'Cerrar',
+            useCamera: '📷 Usar la cámara',
+            takePhoto: 'Hacer foto',
+            cancelCamera: 'Cancelar',
+            cameraHint: 'Aléjate un poco para que la cabeza y los hombros encajen en la silueta.',
+            rememberPhoto: 'Recordar mi foto en este dispositivo durante {days} días',
+            forgetPhoto: 'Olvidar mi foto',
+
+            missingImages: 'Error: sube las dos imágenes.',
+            fetchingImages: 'Obteniendo las imágenes...',
+            uploading: 'Subiendo imágenes...',
+            queued: 'En cola. Puede tardar hasta 3 minutos.',
+            waitingForSlot: 'Esperando un hueco libre (posición {position})...',
+            retrying: 'El servicio de IA tuvo un problema. Reintentando (intento {attempt}/{maxAttempts})...',
+            aiQueue: 'En la cola de la IA{eta}.',
+            aiQueuePosition: 'En la cola de la IA: posición {position}{eta}.',
+            aiQueuePositionOf: 'En la cola de la IA: posición {position} de {queueSize}{eta}.',
+            eta: ' (~{seconds} s)',
+            generating: 'Generando tu prueba{eta}...',
+            generatingPercent: 'Generando tu prueba ({percent} %){eta}...',
+            downloading: 'Casi listo. Descargando el resultado...',
+            connecting: 'Conectando con el servicio de IA...',
+            success: '¡Listo! Imagen generada.',
+            successCached: '¡Listo! Hemos cargado tu resultado anterior.',
+            waitMinutes: '{minutes} minuto(s)',
+            waitSeconds: '{seconds} segundos',
+            cameraStarting: 'Iniciando la cámara...',
+            cameraDenied: 'Se bloqueó el acceso a la cámara. Sube una foto en su lugar.',
+            cameraUnavailable: 'No hay ninguna cámara disponible. Sube una foto en su lugar.',
+            cameraCaptured: 'Foto hecha. Añade la foto de la prenda y genera cuando quieras.',
+            preparingPhoto: 'Preparando tu foto...',
+            savedPhotoLoaded: 'Usando tu foto guardada. Añade la foto de la prenda y genera cuando quieras.',
+            photoForgotten: 'Tu foto guardada se ha borrado de este dispositivo.',
+            warmingUp: 'El servicio de prueba se está iniciando, puede tardar un minuto. Mientras tanto puedes añadir tus fotos.',
+            serviceUnavailable: 'La prueba virtual no está disponible por ahora. Seguiremos comprobando; mientras tanto puedes añadir tus fotos.',
+            errorReference: 'Referencia: {requestId}',
+
+            VTON_TIMEOUT: 'La IA tardó demasiado en responder. Puede estar ocupada; inténtalo de nuevo en un minuto.',
+            VTON_AUTH: 'El probador virtual no está disponible temporalmente. Inténtalo más tarde.',
+            VTON_UPSTREAM_UNAVAILABLE: 'El servicio de prueba se está iniciando o está ocupado. Inténtalo en breve.',
+            VTON_UPSTREAM_ERROR: 'La IA no pudo crear tu prueba esta vez. Inténtalo de nuevo.',
+            VTON_INVALID_REQUEST: 'Sube las dos fotos e inténtalo de nuevo.',
+            VTON_PAYLOAD_TOO_LARGE: 'La foto es demasiado grande. Elige una imagen más pequeña.',
+            VTON_UNAUTHORIZED: 'El probador virtual no está disponible en este sitio ahora mismo.',
+            VTON_FORBIDDEN: 'El probador virtual no está disponible en este sitio ahora mismo.',
+            VTON_RATE_LIMITED: '¡Estás probando muchas cosas a la vez! Espera {wait} e inténtalo de nuevo.',
+            VTON_QUOTA: 'Has alcanzado el límite de pruebas de hoy. Vuelve mañana.',
+            VTON_JOB_NOT_FOUND: 'Tu prueba caducó antes de terminar. Inténtalo de nuevo.',
+            VTON_HEIC_UNSUPPORTED: 'Este navegador no puede leer fotos HEIC de iPhone. Elige una JPEG o PNG, o ve a Ajustes > Cámara > Formatos y elige "Más compatible".',
+            VTON_UNSUPPORTED_IMAGE: 'No podemos leer ese archivo como foto. Elige una imagen JPEG, PNG o WebP.',
+            VTON_GARMENT_UNAVAILABLE: 'No pudimos cargar la imagen de este producto para la prueba. Actualiza la página e inténtalo de nuevo.',
+            VTON_IMAGE_FETCH: 'No pudimos cargar una de las imágenes para la prueba. Actualiza la página e inténtalo de nuevo.',
+            VTON_NETWORK: 'Error de red: no se pudo contactar con el servicio. Comprueba tu conexión.',
+            VTON_INTERNAL: 'Algo salió mal por nuestra parte. Inténtalo de nuevo.'
+        },
+        fr: {
+            title: '🛍️ Essayage virtuel',
+            personUpload: '1. Importez votre photo (JPG/PNG) :',
+            garmentUpload: '2. Importez la photo du vêtement (JPG/PNG) :',
+            personPreview: 'Votre photo',
+            garmentPreview: 'Vêtement',
+            generateButton: "Générer l'essayage",
+            resultTitle: 'Résultat :',
+            resultImage: "Résultat de l'essayage",
+            resultTarget: "Le résultat s'affichera dans l'image de la page {target}.",
+            ready: 'Prêt. (10 Mo max. par image)',
+            launcherButton: '👕 Essayer',
+            closeButton: 'Fermer',
+            useCamera: '📷 Utiliser la caméra',
+            takePhoto: 'Prendre la photo',
+            cancelCamera: 'Annuler',
+            cameraHint: 'Reculez pour que votre tête et vos épaules tiennent dans la silhouette.',
+            rememberPhoto: 'Mémoriser ma photo sur cet appareil pendant {days} jours',
+            forgetPhoto: 'Oublier ma photo',
+
+            missingImages: 'Erreur : importez les deux images.',
+            fetchingImages: 'Récupération des images...',
+            uploading: 'Envoi des images...',
+            queued: "En file d'attente. Cela peut prendre jusqu'à 3 minutes.",
+            waitingForSlot: "En attente d'une place libre (position {position})...",
+            retrying: "Le service d'IA a eu un souci. Nouvel essai ({attempt}/{maxAttempts})...",
+            aiQueue: "Dans la file de l'IA{eta}.",
+            aiQueuePosition: "Dans la file de l'IA : position {position}{eta}.",
+            aiQueuePositionOf: "Dans la file de l'IA : position {position} sur {queueSize}{eta}.",
+            eta: ' (~{seconds} s)',
+            generating: 'Création de votre essayage{eta}...',
+            generatingPercent: 'Création de votre essayage ({percent} %){eta}...',
+            downloading: 'Presque fini. Récupération du résultat...',
+            connecting: "Connexion au service d'IA...",
+            success: 'Terminé ! Image générée.',
+            successCached: 'Terminé ! Votre résultat précédent a été chargé.',
+            waitMinutes: '{minutes} minute(s)',
+            waitSeconds: '{seconds} secondes',
+            cameraStarting: 'Démarrage de la caméra...',
+            cameraDenied: 'L\'accès à la caméra a été bloqué. Importez plutôt une photo.',
+            cameraUnavailable: 'Aucune caméra disponible. Importez plutôt une photo.',
+            cameraCaptured: 'Photo prise. Ajoutez la photo du vêtement puis lancez la génération.',
+            preparingPhoto: 'Préparation de votre photo...',
+            savedPhotoLoaded: 'Votre photo enregistrée est utilisée. Ajoutez la photo du vêtement puis lancez la génération.',
+            photoForgotten: 'Votre photo enregistrée a été supprimée de cet appareil.',
+            warmingUp: "Le service d'essayage démarre, cela peut prendre une minute. Vous pouvez ajouter vos photos en attendant.",
+            serviceUnavailable: "L'essayage est momentanément indisponible. Nous continuons de vérifier ; vous pouvez ajouter vos photos en attendant.",
+            errorReference: 'Référence : {requestId}',
+
+            VTON_TIMEOUT: "L'IA a mis trop de temps à répondre. Elle est peut-être occupée, réessayez dans une minute.",
+            VTON_AUTH: "L'essayage virtuel est temporairement indisponible. Réessayez plus tard.",
+            VTON_UPSTREAM_UNAVAILABLE: "Le service d'essayage démarre ou est occupé. Réessayez dans un instant.",
+            VTON_UPSTREAM_ERROR: "L'IA n'a pas pu créer votre essayage cette fois-ci. Veuillez réessayer.",
+            VTON_INVALID_REQUEST: 'Importez les deux photos puis réessayez.',
+            VTON_PAYLOAD_TOO_LARGE: 'Cette photo est trop volumineuse. Choisissez une image plus petite.',
+            VTON_UNAUTHORIZED: "L'essayage virtuel n'est pas disponible sur ce site pour le moment.",
+            VTON_FORBIDDEN: "L'essayage virtuel n'est pas disponible sur ce site pour le moment.",
+            VTON_RATE_LIMITED: 'Vous essayez beaucoup de choses à la fois ! Patientez {wait} puis réessayez.',
+            VTON_QUOTA: "Vous avez atteint la limite d'essayages du jour. Revenez demain.",
+            VTON_JOB_NOT_FOUND: 'Votre essayage a expiré avant la fin. Veuillez réessayer.',
+            VTON_HEIC_UNSUPPORTED: "Ce navigateur ne peut pas lire les photos HEIC d'iPhone. Choisissez un JPEG ou un PNG, ou réglez Réglages > Appareil photo > Formats sur « Le plus compatible ».",
+            VTON_UNSUPPORTED_IMAGE: "Ce fichier n'est pas une photo lisible. Choisissez une image JPEG, PNG ou WebP.",
+            VTON_GARMENT_UNAVAILABLE: "Impossible de charger l'image de ce produit pour l'essayage. Actualisez la page et réessayez.",
+            VTON_IMAGE_FETCH: "Impossible de charger une des images pour l'essayage. Actualisez la page et réessayez.",
+            VTON_NETWORK: "Erreur réseau : impossible de joindre le service d'essayage. Vérifiez votre connexion.",
+            VTON_INTERNAL: 'Un problème est survenu de notre côté. Veuillez réessayer.'
+        },
+        de: {
+            title: '🛍️ Virtuelle Anprobe',
+            personUpload: '1. Lade dein Foto hoch (JPG/PNG):',
+            garmentUpload: '2. Lade ein Foto des Kleidungsstücks hoch (JPG/PNG):',
+            personPreview: 'Dein Foto',
+            garmentPreview: 'Kleidungsstück',
+            generateButton: 'Anprobe erstellen',
+            resultTitle: 'Ergebnis:',
+            resultImage: 'Ergebnis der Anprobe',
+            resultTarget: 'Das Ergebnis erscheint im Seitenbild {target}.',
+            ready: 'Bereit. (Max. 10 MB pro Bild)',
+            launcherButton: '👕 Anprobieren',
+            closeButton: 'Schließen',
+            useCamera: '📷 Kamera verwenden',
+            takePhoto: 'Foto aufnehmen',
+            cancelCamera: 'Abbrechen',
+            cameraHint: 'Geh etwas zurück, damit Kopf und Schultern in den Umriss passen.',
+            rememberPhoto: 'Mein Foto {days} Tage auf diesem Gerät speichern',
+            forgetPhoto: 'Mein Foto vergessen',
+
+            missingImages: 'Fehler: Bitte lade beide Bilder hoch.',
+            fetchingImages: 'Bilder werden geladen...',
+            uploading: 'Bilder werden hochgeladen...',
+            queued: 'In der Warteschlange. Das kann bis zu 3 Minuten dauern.',
+            waitingForSlot: 'Warte auf einen freien Platz (Position {position})...',
+            retrying: 'Der KI-Dienst hatte ein Problem. Neuer Versuch ({attempt}/{maxAttempts})...',
+            aiQueue: 'In der KI-Warteschlange{eta}.',
+            aiQueuePosition: 'In der KI-Warteschlange: Position {position}{eta}.',
+            aiQueuePositionOf: 'In der KI-Warteschlange: Position {position} von {queueSize}{eta}.',
+            eta: ' (~{seconds} s)',
+            generating: 'Deine Anprobe wird erstellt{eta}...',
+            generatingPercent: 'Deine Anprobe wird erstellt ({percent} %){eta}...',
+            downloading: 'Fast fertig. Ergebnis wird geladen...',
+            connecting: 'Verbindung zum KI-Dienst wird hergestellt...',
+            success: 'Fertig! Bild wurde erstellt.',
+            successCached: 'Fertig! Dein früheres Ergebnis wurde geladen.',
+            waitMinutes: '{minutes} Minute(n)',
+            waitSeconds: '{seconds} Sekunden',
+            cameraStarting: 'Kamera wird gestartet...',
+            cameraDenied: 'Der Kamerazugriff wurde blockiert. Bitte lade stattdessen ein Foto hoch.',
+            cameraUnavailable: 'Keine Kamera verfügbar. Bitte lade stattdessen ein Foto hoch.',
+            cameraCaptured: 'Foto aufgenommen. Füge das Foto des Kleidungsstücks hinzu und starte die Anprobe.',
+            preparingPhoto: 'Dein Foto wird vorbereitet...',
+            savedPhotoLoaded: 'Dein gespeichertes Foto wird verwendet. Füge das Kleidungsfoto hinzu und starte, wenn du bereit bist.',
+            photoForgotten: 'Dein gespeichertes Foto wurde von diesem Gerät gelöscht.',
+            warmingUp: 'Der Anprobe-Dienst startet gerade, das kann eine Minute dauern. Du kannst deine Fotos schon hinzufügen.',
+            serviceUnavailable: 'Die Anprobe ist vorübergehend nicht verfügbar. Wir prüfen weiter; du kannst deine Fotos schon hinzufügen.',
+            errorReference: 'Referenz: {requestId}',
+
+            VTON_TIMEOUT: 'Die KI hat zu lange gebraucht. Sie ist vielleicht ausgelastet, versuche es in einer Minute erneut.',
+            VTON_AUTH: 'Die virtuelle Anprobe ist vorübergehend nicht verfügbar. Bitte versuche es später erneut.',
+            VTON_UPSTREAM_UNAVAILABLE: 'Der Anprobe-Dienst startet gerade oder ist ausgelastet. Bitte versuche es gleich noch einmal.',
+            VTON_UPSTREAM_ERROR: 'Die KI konnte deine Anprobe diesmal nicht erstellen. Bitte versuche es erneut.',
+            VTON_INVALID_REQUEST: 'Bitte lade beide Fotos hoch und versuche es erneut.',
+            VTON_PAYLOAD_TOO_LARGE: 'Das Foto ist zu groß. Bitte wähle ein kleineres Bild.',
+            VTON_UNAUTHORIZED: 'Die virtuelle Anprobe ist auf dieser Website gerade nicht verfügbar.',
+            VTON_FORBIDDEN: 'Die virtuelle Anprobe ist auf dieser Website gerade nicht verfügbar.',
+            VTON_RATE_LIMITED: 'Du probierst gerade sehr viel an! Bitte warte {wait} und versuche es erneut.',
+            VTON_QUOTA: 'Du hast das heutige Anprobe-Limit erreicht. Komm morgen wieder.',
+            VTON_JOB_NOT_FOUND: 'Deine Anprobe ist abgelaufen, bevor sie fertig war. Bitte versuche es erneut.',
+            VTON_HEIC_UNSUPPORTED: 'Dieser Browser kann HEIC-Fotos vom iPhone nicht lesen. Wähle ein JPEG oder PNG oder stelle Einstellungen > Kamera > Formate auf „Maximale Kompatibilität“.',
+            VTON_UNSUPPORTED_IMAGE: 'Diese Datei ist kein lesbares Foto. Bitte wähle ein JPEG-, PNG- oder WebP-Bild.',
+            VTON_GARMENT_UNAVAILABLE: 'Das Produktbild konnte für die Anprobe nicht geladen werden. Bitte lade die Seite neu und versuche es erneut.',
+            VTON_IMAGE_FETCH: 'Ein Bild für die Anprobe konnte nicht geladen werden. Bitte lade die Seite neu und versuche es erneut.',
+            VTON_NETWORK: 'Netzwerkfehler: Der Anprobe-Dienst ist nicht erreichbar. Bitte prüfe deine Verbindung.',
+            VTON_INTERNAL: 'Bei uns ist etwas schiefgelaufen. Bitte versuche es erneut.'
+        },
+        hi: {
+            title: '🛍️ वर्चुअल ट्राई-ऑन',
+            personUpload: '1. अपनी फ़ोटो अपलोड करें (JPG/PNG):',
+            garmentUpload: '2. कपड़े की फ़ोटो अपलोड करें (JPG/PNG):',
+            personPreview: 'आपकी फ़ोटो',
+            garmentPreview: 'कपड़े की फ़ोटो',
+            generateButton: 'ट्राई-ऑन इमेज बनाएँ',
+            resultTitle: 'ट्राई-ऑन परिणाम:',
+            resultImage: 'ट्राई-ऑन परिणाम',
+            resultTarget: 'परिणाम पेज की इमेज {target} में दिखेगा।',
+            ready: 'तैयार। (प्रति इमेज अधिकतम 10MB)',
+            launcherButton: '👕 पहनकर देखें',
+            closeButton: 'बंद करें',
+            useCamera: '📷 कैमरा इस्तेमाल करें',
+            takePhoto: 'फ़ोटो लें',
+            cancelCamera: 'रद्द करें',
+            cameraHint: 'थोड़ा पीछे हटें ताकि आपका सिर और कंधे रूपरेखा में आ जाएँ।',
+            rememberPhoto: 'मेरी फ़ोटो इस डिवाइस पर {days} दिनों तक याद रखें',
+            forgetPhoto: 'मेरी फ़ोटो भूल जाएँ',
+
+            missingImages: 'त्रुटि: कृपया दोनों इमेज अपलोड करें।',
+            fetchingImages: 'इमेज लाई जा रही हैं...',
+            uploading: 'इमेज अपलोड हो रही हैं...',
+            queued: 'कतार में है। इसमें 3 मिनट तक लग सकते हैं।',
+            waitingForSlot: 'खाली स्लॉट की प्रतीक्षा (स्थान {position})...',
+            retrying: 'AI सेवा में समस्या आई। फिर से प्रयास हो रहा है (प्रयास {attempt}/{maxAttempts})...',
+            aiQueue: 'AI कतार में{eta}।',
+            aiQueuePosition: 'AI कतार में: स्थान {position}{eta}।',
+            aiQueuePositionOf: 'AI कतार में: {queueSize} में से स्थान {position}{eta}।',
+            eta: ' (~{seconds} सेकंड)',
+            generating: 'आपका ट्राई-ऑन बन रहा है{eta}...',
+            generatingPercent: 'आपका ट्राई-ऑन बन रहा है ({percent}%){eta}...',
+            downloading: 'लगभग पूरा। परिणाम लाया जा रहा है...',
+            connecting: 'AI सेवा से जुड़ रहे हैं...',
+            success: 'सफल! इमेज तैयार है।',
+            successCached: 'सफल! आपका पिछला परिणाम लोड किया गया।',
+            waitMinutes: '{minutes} मिनट',
+            waitSeconds: '{seconds} सेकंड',
+            cameraStarting: 'कैमरा शुरू हो रहा है...',
+            cameraDenied: 'कैमरा एक्सेस ब्लॉक कर दिया गया। कृपया इसके बजाय फ़ोटो अपलोड करें।',
+            cameraUnavailable: 'कोई कैमरा उपलब्ध नहीं है। कृपया इसके बजाय फ़ोटो अपलोड करें।',
+            cameraCaptured: 'फ़ोटो ले ली गई। कपड़े की फ़ोटो जोड़ें और तैयार होने पर ट्राई-ऑन बनाएँ।',
+            preparingPhoto: 'आपकी फ़ोटो तैयार की जा रही है...',
+            savedPhotoLoaded: 'आपकी सहेजी गई फ़ोटो इस्तेमाल की जा रही है। कपड़े की फ़ोटो जोड़ें और तैयार होने पर जनरेट करें।',
+            photoForgotten: 'आपकी सहेजी गई फ़ोटो इस डिवाइस से हटा दी गई है।',
+            warmingUp: 'ट्राई-ऑन सेवा शुरू हो रही है, इसमें एक मिनट लग सकता है। तब तक आप अपनी फ़ोटो जोड़ सकते हैं।',
+            serviceUnavailable: 'ट्राई-ऑन अभी अस्थायी रूप से उपलब्ध नहीं है। हम जाँच करते रहेंगे; तब तक आप अपनी फ़ोटो जोड़ सकते हैं।',
+            errorReference: 'संदर्भ: {requestId}',
+
+            VTON_TIMEOUT: 'AI ने जवाब देने में बहुत समय लिया। यह व्यस्त हो सकती है, कृपया एक मिनट बाद फिर से प्रयास करें।',
+            VTON_AUTH: 'वर्चुअल ट्राई-ऑन अस्थायी रूप से उपलब्ध नहीं है। कृपया बाद में प्रयास करें।',
+            VTON_UPSTREAM_UNAVAILABLE: 'ट्राई-ऑन सेवा शुरू हो रही है या व्यस्त है। कृपया थोड़ी देर में प्रयास करें।',
+            VTON_UPSTREAM_ERROR: 'AI इस बार आपका ट्राई-ऑन नहीं बना सकी। कृपया फिर से प्रयास करें।',
+            VTON_INVALID_REQUEST: 'कृपया दोनों फ़ोटो अपलोड करके फिर से प्रयास करें।',
+            VTON_PAYLOAD_TOO_LARGE: 'यह फ़ोटो बहुत बड़ी है। कृपया छोटी इमेज चुनें।',
+            VTON_UNAUTHORIZED: 'इस साइट पर अभी वर्चुअल ट्राई-ऑन उपलब्ध नहीं है।',
+            VTON_FORBIDDEN: 'इस साइट पर अभी वर्चुअल ट्राई-ऑन उपलब्ध नहीं है।',
+            VTON_RATE_LIMITED: 'आप एक साथ बहुत कुछ आज़मा रहे हैं! कृपया {wait} रुककर फिर से प्रयास करें।',
+            VTON_QUOTA: 'आज की ट्राई-ऑन सीमा पूरी हो गई है। कृपया कल फिर आएँ।',
+            VTON_JOB_NOT_FOUND: 'आपका ट्राई-ऑन पूरा होने से पहले समाप्त हो गया। कृपया फिर से प्रयास करें।',
+            VTON_HEIC_UNSUPPORTED: 'यह ब्राउज़र iPhone की HEIC फ़ोटो नहीं पढ़ सकता। कृपया JPEG या PNG चुनें, या Settings > Camera > Formats में "Most Compatible" चुनें।',
+            VTON_UNSUPPORTED_IMAGE: 'यह फ़ाइल पढ़ने योग्य फ़ोटो नहीं है। कृपया JPEG, PNG या WebP इमेज चुनें।',
+            VTON_GARMENT_UNAVAILABLE: 'इस प्रोडक्ट की इमेज ट्राई-ऑन के लिए लोड नहीं हो सकी। कृपया पेज रीफ़्रेश करके फिर से प्रयास करें।',
+            VTON_IMAGE_FETCH: 'ट्राई-ऑन के लिए एक इमेज लोड नहीं हो सकी। कृपया पेज रीफ़्रेश करके फिर से प्रयास करें।',
+            VTON_NETWORK: 'नेटवर्क त्रुटि: ट्राई-ऑन सेवा तक नहीं पहुँच सके। कृपया अपना कनेक्शन जाँचें।',
+            VTON_INTERNAL: 'हमारी ओर से कुछ गड़बड़ हो गई। कृपया फिर से प्रयास करें।'
+        }
+    };
+
+    // Languages written right to left; the widget mirrors its layout for them
+    const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+    // Catalog entries that label the UI. Override per widget with
+    // VTON.init({ labels: { generateButton: 'Try it on' } }) or a data-label-* attribute
+    // (data-label-generate-button="Try it on").
+    const LABEL_NAMES = ['title', 'personUpload', 'garmentUpload', 'personPreview', 'garmentPreview',
+        'generateButton', 'resultTitle', 'resultImage', 'resultTarget', 'ready', 'launcherButton',
+        'closeButton', 'useCamera', 'takePhoto', 'cancelCamera', 'cameraHint', 'rememberPhoto', 'forgetPhoto'];
+
+    // Camera capture needs getUserMedia, which browsers only offer on secure (https) pages
+    const CAMERA_SUPPORTED = !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+
+    // Camera photos and prepared uploads match the model's 3:4 portrait frame
+    const FRAME_ASPECT = 3 / 4;
+
+    // Photos are prepared in the browser before upload: decoded with their EXIF orientation
+    // applied, scaled down so neither side exceeds maxImageDimension, padded onto a white
+    // 3:4 frame (frameImages) and re-encoded as imageFormat ('jpeg' | 'webp') at imageQuality.
+    // Set per widget via VTON.init / data-* attributes (data-max-image-dimension="1200"),
+    // or per VTON.process call.
+    const IMAGE_DEFAULTS = { maxImageDimension: 1600, imageFormat: 'jpeg', imageQuality: 0.9, frameImages: true };
+
+    // "Remember my photo": only after the shopper ticks the box, the prepared person photo is
+    // kept in this site's IndexedDB for rememberPhotoDays and then used by every widget on the
+    // site (and by VTON.process) until it expires or the shopper chooses "Forget my photo".
+    const PHOTO_STORAGE_SUPPORTED = !!window.indexedDB;
+    const PHOTO_DB_NAME = 'vton-widget';
+    const PHOTO_STORE_NAME = 'photos';
+    const SAVED_PHOTO_KEY = 'person';
+    const REMEMBER_PHOTO_DAYS = 30;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Product pages can supply the garment instead of the shopper: VTON.init({ garment }) or
+    // data-garment-src (an image URL) / data-garment-selector (the page's product <img>). The
+    // garment upload is then hidden. A product <img> is watched, so when a variant switch changes
+    // its src the preview follows and a shown result is regenerated (rerunOnGarmentChange).
+
+    // ISO-BMFF brands used by HEIC/HEIF files (bytes 8-12, after "ftyp")
+    const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+    // 'inline' renders in place, 'compact' is a denser version of it and 'floating'
+    // shows a launcher button that opens the widget in a modal.
+    const LAYOUTS = ['inline', 'compact', 'floating'];
+
+    // Theme options (VTON.init({ theme }) or data-* attributes of the same name, e.g.
+    // data-primary-color) and the CSS custom properties they set. Pages can also set
+    // the properties directly in their own CSS on the widget container.
+    const THEME_PROPERTIES = {
+        primaryColor: '--vton-primary',
+        primaryTextColor: '--vton-primary-text',
+        textColor: '--vton-text',
+        backgroundColor: '--vton-background',
+        radius: '--vton-radius',
+        font: '--vton-font'
+    };
+
+    // Status colors for the floating VTON.process messages, which live outside any widget's shadow root
+    const STATUS_STYLES = {
+        'status-info': 'color: #007bff; background-color: #e6f3ff;',
+        'status-success': 'color: #2ecc71; background-color: #e6fff0;',
+        'status-error': 'color: #e74c3c; background-color: #ffe6e6;'
+    };
+
+    // Page-wide defaults used by VTON.process (the most recent VTON.init wins).
+    // Widget instances keep their own copies.
+    const pageDefaults = { apiKey: null, locale: null, messages: {} };
+
+    // Live widget instances, keyed by their root element
+    const instances = new Map();
+    let instanceCounter = 0;
+
+    // Last known service readiness, shared by every widget (see watchReadiness)
+    const readiness = { status: null, polling: false, listeners: [] };
+
+    // Only valid while the script first runs, so capture it now
+    const currentScript = document.currentScript;
 
     // ------------------------------------------------------------------
     // CORE UTILITIES
     // ------------------------------------------------------------------
 
+    /**
+     * Writes a status message (and optional progress bar) into a status element.
+     * @param {HTMLElement} statusElement - The element to update.
+     * @param {string} message - The status message.
+     * @param {string} className - 'status-info', 'status-success', or 'status-error'.
+     * @param {number} [progress] - 0-100 to show a progress bar; omit to hide it.
+     */
+    function renderStatus(statusElement, message, className, progress) {
+        statusElement.textContent = message;
+        statusElement.className = className;
+        statusElement.style.display = 'block';
+
+        if (typeof progress === 'number') {
+            const bar = document.createElement('div');
+            bar.className = 'vton-progress';
+            bar.style.cssText = 'margin-top: 8px; height: 6px; border-radius: 3px; background-color: rgba(0,0,0,0.1); overflow: hidden;';
+            const fill = document.createElement('div');
+            fill.style.cssText = `height: 100%; width: ${Math.max(0, Math.min(100, progress))}%; background-color: currentColor; transition: width 0.5s;`;
+            bar.appendChild(fill);
+            statusElement.appendChild(bar);
+        }
+    }
+
     /**
      * Creates or updates a unique floating status message for a given ID/Process.
      * This is essential for distinguishing status updates when VTON.process is
@@ -18,9 +475,9 @@
      * @param {string} processId - A unique ID for this process (e.g., a target selector or custom ID).
      * @param {string} message - The status message.
      * @param {string} className - 'status-info', 'status-success', or 'status-error'.
-     * @param {boolean} isFloating - Whether to display as a fixed floating message.
+     * @param {number} [progress] - 0-100 to show a progress bar; omit to hide it.
      */
-    function showStatus(processId, message, className, isFloating = true) {
+    function showStatus(processId, message, className, progress) {
         const uniqueId = `vton-status-${processId.replace(/[^a-zA-Z0-9]/g, '-')}`;
         let statusElement = document.getElementById(uniqueId);
         
@@ -28,33 +485,27 @@
             statusElement = document.createElement('div');
             statusElement.id = uniqueId;
             document.body.appendChild(statusElement);
-
-            if (isFloating) {
-                // Style for the floating status message (Method 4)
-                statusElement.style.cssText = `
-                    position: fixed; 
-                    bottom: 10px; 
-                    right: 10px; 
-                    z-index: 1000; 
-                    padding: 10px; 
-                    border-radius: 5px; 
-                    box-shadow: 0 0 10px rgba(0,0,0,0.2); 
-                    font-family: sans-serif; 
-                    transition: all 0.3s;
-                    max-width: 300px;
-                `;
-            } else {
-                // Style for the main widget status (Method 1-3)
-                 statusElement.style.cssText = 'margin-top: 15px; padding: 10px; border-radius: 6px; text-align: center; font-size: 1em;';
-            }
         }
-        
-        statusElement.textContent = message;
-        statusElement.className = className;
-        statusElement.style.display = 'block';
+
+        // Style for the floating status message (Method 4)
+        statusElement.style.cssText = `
+            position: fixed; 
+            bottom: 10px; 
+            right: 10px; 
+            z-index: 1000; 
+            padding: 10px; 
+            border-radius: 5px; 
+            box-shadow: 0 0 10px rgba(0,0,0,0.2); 
+            font-family: sans-serif; 
+            transition: all 0.3s;
+            max-width: 300px;
+            ${STATUS_STYLES[className] || ''}
+        `;
+
+        renderStatus(statusElement, message, className, progress);
 
         // Auto-hide success/error messages for headless processing
-        if (isFloating && (className === 'status-success' || className === 'status-error')) {
+        if (className === 'status-success' || className === 'status-error') {
             setTimeout(() => {
                 statusElement.style.display = 'none';
             }, 8000);
@@ -62,6 +513,168 @@
     }
 
 
+    /**
+     * Escapes text for use in HTML markup (merchant-supplied labels end up in the widget's innerHTML).
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Picks the catalog locale for a requested locale, or for the browser's languages when none is given.
+     * 'fr-CA' uses a 'fr-CA' catalog if one was added, else 'fr'. Falls back to 'en'.
+     */
+    function resolveLocale(requested) {
+        const candidates = requested ? [requested] : (navigator.languages || [navigator.language]);
+        for (let i = 0; i < candidates.length; i++) {
+            if (!candidates[i]) continue;
+            const locale = String(candidates[i]).trim();
+            if (CATALOGS[locale]) return locale;
+            const language = locale.split('-')[0].toLowerCase();
+            if (CATALOGS[language]) return language;
+        }
+        if (requested) console.warn(`VTON Widget: No messages for locale '${requested}'. Using English.`);
+        return 'en';
+    }
+
+    /**
+     * Whether a locale is written right to left.
+     */
+    function isRtl(locale) {
+        return RTL_LANGUAGES.indexOf(locale.split('-')[0].toLowerCase()) !== -1;
+    }
+
+    /**
+     * The full message set for a locale: English, then the language, then the exact locale,
+     * then the merchant's overrides.
+     */
+    function resolveMessages(locale, overrides) {
+        const language = locale.split('-')[0].toLowerCase();
+        return Object.assign({}, CATALOGS.en, CATALOGS[language], CATALOGS[locale], overrides);
+    }
+
+    /**
+     * Fills {name} placeholders in a message.
+     */
+    function formatMessage(template, values) {
+        return String(template).replace(/\{(\w+)\}/g, (placeholder, name) =>
+            values && values[name] !== undefined && values[name] !== null ? values[name] : placeholder);
+    }
+
+    /**
+     * Resolves a widget's layout, theme, labels, camera, photo, "remember my photo" and garment settings. VTON.init options win over
+     * data-* attributes on the container, which win over the locale's messages.
+     * @param {HTMLElement} rootElement - The widget's container.
+     * @param {object} options - The VTON.init options (layout, theme, labels, camera, cameraCountdown,
+     *   maxImageDimension, imageFormat, imageQuality, frameImages, rememberPhoto, rememberPhotoDays,
+     *   garment, rerunOnGarmentChange, checkReadiness).
+     * @param {object} messages - The widget's resolved messages (see resolveMessages).
+     */
+    function readWidgetConfig(rootElement, options, messages) {
+        const dataset = rootElement.dataset;
+        const themeOptions = options.theme || {};
+        const labelOptions = options.labels || {};
+
+        let layout = options.layout || dataset.layout || 'inline';
+        if (LAYOUTS.indexOf(layout) === -1) {
+            console.warn(`VTON Widget: Unknown layout '${layout}'. Use one of: ${LAYOUTS.join(', ')}.`);
+            layout = 'inline';
+        }
+
+        const theme = {};
+        Object.keys(THEME_PROPERTIES).forEach((name) => {
+            const value = themeOptions[name] !== undefined ? themeOptions[name] : dataset[name];
+            if (value === undefined || value === null || value === '') return;
+            // Bare numbers are pixels (radius: 4)
+            theme[name] = typeof value === 'number' || /^\d+(\.\d+)?$/.test(value) ? `${value}px` : String(value);
+        });
+
+        const labels = {};
+        LABEL_NAMES.forEach((name) => {
+            const attribute = dataset['label' + name.charAt(0).toUpperCase() + name.slice(1)];
+            labels[name] = labelOptions[name] || attribute || messages[name];
+        });
+
+        // Camera capture is on unless disabled with camera: false / data-camera="false"
+        const cameraOption = options.camera !== undefined ? options.camera : dataset.camera;
+        const camera = CAMERA_SUPPORTED && cameraOption !== false && cameraOption !== 'false';
+        const countdownOption = options.cameraCountdown !== undefined ? options.cameraCountdown : dataset.cameraCountdown;
+        const cameraCountdown = countdownOption !== undefined && !isNaN(parseInt(countdownOption, 10))
+            ? Math.max(0, parseInt(countdownOption, 10))
+            : 3;
+
+        // "Remember my photo" is offered unless disabled with rememberPhoto: false / data-remember-photo="false"
+        const rememberOption = options.rememberPhoto !== undefined ? options.rememberPhoto : dataset.rememberPhoto;
+        const rememberPhoto = PHOTO_STORAGE_SUPPORTED && rememberOption !== false && rememberOption !== 'false';
+        const daysOption = parseInt(options.rememberPhotoDays !== undefined ? options.rememberPhotoDays : dataset.rememberPhotoDays, 10);
+        const rememberPhotoDays = daysOption > 0 ? daysOption : REMEMBER_PHOTO_DAYS;
+
+        const rerunOption = options.rerunOnGarmentChange !== undefined ? options.rerunOnGarmentChange : dataset.rerunOnGarmentChange;
+        const readinessOption = options.checkReadiness !== undefined ? options.checkReadiness : dataset.checkReadiness;
+
+        return {
+            layout, theme, labels, camera, cameraCountdown, rememberPhoto, rememberPhotoDays,
+            image: readImageOptions(options, dataset),
+            garment: readGarmentSource(options.garment !== undefined ? options.garment : dataset),
+            rerunOnGarmentChange: rerunOption !== false && rerunOption !== 'false',
+            checkReadiness: readinessOption !== false && readinessOption !== 'false'
+        };
+    }
+
+    /**
+     * Resolves the photo preparation settings (see IMAGE_DEFAULTS) from options, then a dataset.
+     */
+    function readImageOptions(options, dataset = {}) {
+        const read = (name) => (options[name] !== undefined ? options[name] : dataset[name]);
+        const maxDimension = parseInt(read('maxImageDimension'), 10);
+        const quality = parseFloat(read('imageQuality'));
+        const format = read('imageFormat');
+        const frame = read('frameImages');
+
+        return {
+            maxDimension: maxDimension > 0 ? maxDimension : IMAGE_DEFAULTS.maxImageDimension,
+            format: format === 'webp' ? 'webp' : IMAGE_DEFAULTS.imageFormat,
+            quality: quality > 0 && quality <= 1 ? quality : IMAGE_DEFAULTS.imageQuality,
+            frame: frame === undefined ? IMAGE_DEFAULTS.frameImages : frame !== false && frame !== 'false'
+        };
+    }
+
+
+    /**
+     * Normalizes a garment source: an image URL, an <img> element, { src } or { selector }
+     * (a dataset's garmentSrc / garmentSelector work too). Returns { src, selector, element } or null.
+     */
+    function readGarmentSource(source) {
+        if (!source) return null;
+        if (typeof source === 'string') return { src: source, selector: null, element: null };
+        if (source instanceof HTMLImageElement) return { src: null, selector: null, element: source };
+
+        const src = source.src || source.garmentSrc || null;
+        const selector = source.selector || source.garmentSelector || null;
+        return src || selector ? { src, selector, element: null } : null;
+    }
+
+    /**
+     * Picks the generation parameters that are set on an options object or element dataset.
+     * data-garment-category="lower" arrives here as dataset.garmentCategory.
+     */
+    function pickParams(source) {
+        const params = {};
+        if (!source) return params;
+        PARAM_NAMES.forEach((name) => {
+            if (source[name] !== undefined && source[name] !== null && source[name] !== '') {
+                params[name] = source[name];
+            }
+        });
+        return params;
+    }
+
+
     /**
      * Converts a File object to a Base64 string (data part only).
      */
@@ -75,90 +688,585 @@
     }
 
     /**
-     * Fetches an image URL and converts it to a Base64 string (data part only).
+     * Request headers for the API: the merchant key, and the widget's locale so
+     * server error messages come back in the same language.
      */
-    function urlToBase64(url) {
-        return fetch(url)
+    function apiHeaders(apiKey, locale) {
+        const headers = { 'Accept-Language': locale || 'en' };
+        if (apiKey) headers['X-API-Key'] = apiKey;
+        return headers;
+    }
+
+    /**
+     * Builds the fetch options for the process endpoint. Each image is a File/Blob, a base64
+     * string or { url } for the server to download (see remoteImage).
+     * With a File/Blob the request is multipart form data; otherwise it is JSON.
+     */
+    function buildProcessRequest(personImage, garmentImage, params, headers) {
+        const images = { person: personImage, garment: garmentImage };
+        const fields = {};
+        Object.keys(images).forEach((name) => {
+            const image = images[name];
+            if (image instanceof Blob) return;
+            if (image && image.url) fields[`${name}ImageUrl`] = image.url;
+            else fields[`${name}ImageBase64`] = image;
+        });
+
+        if (personImage instanceof Blob || garmentImage instanceof Blob) {
+            const form = new FormData();
+            Object.keys(images).forEach((name) => {
+                if (images[name] instanceof Blob) form.append(name, images[name], images[name].name || `${name}.jpg`);
+            });
+            Object.keys(fields).forEach((name) => form.append(name, fields[name]));
+            Object.keys(params).forEach((name) => form.append(name, params[name]));
+            // The browser sets the multipart Content-Type (with boundary) itself
+            return { method: 'POST', headers, body: form };
+        }
+
+        return {
+            method: 'POST',
+            headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+            body: JSON.stringify(Object.assign(fields, params))
+        };
+    }
+
+    /**
+     * Fetches an image URL and prepares it like an upload. Resolves with a File.
+     * @param {string} url
+     * @param {object} imageOptions - Settings from readImageOptions.
+     * @param {AbortSignal} [signal]
+     */
+    function urlToFile(url, imageOptions, signal) {
+        return fetch(url, { signal })
             .then(response => {
                 if (!response.ok) {
                     throw new Error(`HTTP error fetching image from URL! Status: ${response.status}`);
                 }
                 return response.blob();
             })
-            .then(blob => fileToBase64(new File([blob], 'image', { type: blob.type })));
+            .then(blob => prepareImage(new File([blob], 'image', { type: blob.type }), imageOptions));
+    }
+
+    /**
+     * Fallback for an image the browser could not fetch (usually a CDN without CORS headers):
+     * the API downloads it instead, if the merchant's API key allows that host.
+     * Errors coming from preparing the image itself are passed on.
+     */
+    function remoteImage(url, error) {
+        if (error.code || error.name === 'AbortError') throw error;
+        console.warn(`VTON Widget: Could not fetch ${url} in the browser (${error.message}). Asking the server to fetch it.`);
+        return { url: new URL(url, document.baseURI).href };
+    }
+
+    /**
+     * Fetches an image URL, prepares it like an upload and converts it to a Base64 string (data part only).
+     * @param {string} url
+     * @param {object} imageOptions - Settings from readImageOptions.
+     */
+    function urlToBase64(url, imageOptions) {
+        return urlToFile(url, imageOptions).then(fileToBase64);
+    }
+
+    /**
+     * Identifies an image from its first bytes: 'jpeg', 'png', 'webp', 'heic' or null.
+     */
+    async function sniffImageType(blob) {
+        const bytes = new Uint8Array(await blob.slice(0, 16).arrayBuffer());
+        const ascii = (start, end) => String.fromCharCode.apply(null, bytes.subarray(start, end));
+
+        if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'jpeg';
+        if (bytes[0] === 0x89 && ascii(1, 4) === 'PNG') return 'png';
+        if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+        if (ascii(4, 8) === 'ftyp' && HEIC_BRANDS.indexOf(ascii(8, 12)) !== -1) return 'heic';
+        return null;
+    }
+
+    /**
+     * Decodes an image with its EXIF orientation applied. Resolves with an ImageBitmap or <img>.
+     */
+    async function decodeImage(blob) {
+        if (window.createImageBitmap) {
+            try {
+                return await createImageBitmap(blob, { imageOrientation: 'from-image' });
+            } catch (error) {
+                // Older Safari rejects the options object; <img> applies EXIF orientation itself
+            }
+        }
+
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('The browser could not decode the image.'));
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * Encodes a canvas; falls back to JPEG where the browser cannot write WebP.
+     */
+    function encodeCanvas(canvas, format, quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                if (!blob) return reject(new Error('The browser could not encode the image.'));
+                if (format !== 'jpeg' && blob.type !== `image/${format}`) {
+                    return encodeCanvas(canvas, 'jpeg', quality).then(resolve, reject);
+                }
+                resolve(blob);
+            }, `image/${format}`, quality);
+        });
+    }
+
+    /**
+     * Prepares a photo for upload (see IMAGE_DEFAULTS) and returns it as a new File.
+     * Rejects with code VTON_HEIC_UNSUPPORTED or VTON_UNSUPPORTED_IMAGE when the browser cannot read it.
+     * @param {Blob} file - The original photo.
+     * @param {object} imageOptions - Settings from readImageOptions.
+     */
+    async function prepareImage(file, imageOptions) {
+        const type = await sniffImageType(file);
+        const looksHeic = type === 'heic' || /\.hei[cf]$/i.test(file.name || '') || /image\/hei[cf]/.test(file.type);
+
+        if (!type && !looksHeic && !/^image\//.test(file.type)) {
+            throw createTryOnError('VTON_UNSUPPORTED_IMAGE', { message: `Unsupported file type "${file.type || 'unknown'}".` });
+        }
+
+        let image;
+        try {
+            // Some browsers (recent Safari) can decode HEIC, in which case it is converted like any other photo
+            image = await decodeImage(file);
+        } catch (error) {
+            throw createTryOnError(looksHeic ? 'VTON_HEIC_UNSUPPORTED' : 'VTON_UNSUPPORTED_IMAGE', { message: error.message });
+        }
+
+        const sourceWidth = image.naturalWidth || image.width;
+        const sourceHeight = image.naturalHeight || image.height;
+
+        // Output size: the source (or its 3:4 frame) shrunk to fit maxDimension, never enlarged
+        let width = sourceWidth;
+        let height = sourceHeight;
+        if (imageOptions.frame) {
+            height = Math.max(sourceHeight, sourceWidth / FRAME_ASPECT);
+            width = height * FRAME_ASPECT;
+        }
+        const fit = Math.min(1, imageOptions.maxDimension / Math.max(width, height));
+        width = Math.round(width * fit);
+        height = Math.round(height * fit);
+
+        const scale = Math.min(width / sourceWidth, height / sourceHeight);
+        const drawWidth = Math.round(sourceWidth * scale);
+        const drawHeight = Math.round(sourceHeight * scale);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff'; // Padding, and a background for transparent PNGs
+        context.fillRect(0, 0, width, height);
+        context.drawImage(image, Math.round((width - drawWidth) / 2), Math.round((height - drawHeight) / 2), drawWidth, drawHeight);
+        if (image.close) image.close(); // Free ImageBitmap memory right away
+
+        const blob = await encodeCanvas(canvas, imageOptions.format, imageOptions.quality);
+        const extension = blob.type === 'image/webp' ? 'webp' : 'jpg';
+        const baseName = (file.name || 'photo').replace(/\.[^.]+$/, '') || 'photo';
+        return new File([blob], `${baseName}.${extension}`, { type: blob.type });
+    }
+
+    /**
+     * Runs one request against the saved-photo object store and resolves with its result.
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+     * @param {function(IDBObjectStore): IDBRequest} action
+     */
+    function withPhotoStore(mode, action) {
+        return new Promise((resolve, reject) => {
+            const openRequest = indexedDB.open(PHOTO_DB_NAME, 1);
+            openRequest.onupgradeneeded = () => openRequest.result.createObjectStore(PHOTO_STORE_NAME);
+            openRequest.onerror = () => reject(openRequest.error);
+            openRequest.onsuccess = () => {
+                const db = openRequest.result;
+                const transaction = db.transaction(PHOTO_STORE_NAME, mode);
+                const request = action(transaction.objectStore(PHOTO_STORE_NAME));
+                transaction.oncomplete = () => {
+                    db.close();
+                    resolve(request.result);
+                };
+                transaction.onerror = transaction.onabort = () => {
+                    db.close();
+                    reject(transaction.error || request.error);
+                };
+            };
+        });
+    }
+
+    /**
+     * Resolves with the shopper's saved person photo as a File, or null when there is none.
+     * An expired photo is deleted on the way. Never rejects: storage may be blocked (private browsing).
+     */
+    function loadSavedPhoto() {
+        if (!PHOTO_STORAGE_SUPPORTED) return Promise.resolve(null);
+
+        return withPhotoStore('readonly', (store) => store.get(SAVED_PHOTO_KEY))
+            .then((record) => {
+                if (!record) return null;
+                if (record.expiresAt <= Date.now()) {
+                    return forgetSavedPhoto().then(() => null);
+                }
+                return new File([record.blob], record.name, { type: record.blob.type });
+            })
+            .catch((error) => {
+                console.warn('VTON Widget: Could not read the saved photo:', error && error.message);
+                return null;
+            });
+    }
+
+    /**
+     * Saves a prepared person photo for the given number of days, replacing any earlier one.
+     */
+    function savePhoto(file, days) {
+        const now = Date.now();
+        const record = { blob: file, name: file.name, savedAt: now, expiresAt: now + days * DAY_MS };
+        return withPhotoStore('readwrite', (store) => store.put(record, SAVED_PHOTO_KEY));
+    }
+
+    /**
+     * Deletes the saved person photo, if any.
+     */
+    function forgetSavedPhoto() {
+        if (!PHOTO_STORAGE_SUPPORTED) return Promise.resolve();
+        return withPhotoStore('readwrite', (store) => store.delete(SAVED_PHOTO_KEY));
+    }
+
+    /**
+     * Displays a preview of an image file (or hides the preview when there is none).
+     */
+    function showImagePreview(file, previewElement) {
+        if (file) {
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                previewElement.src = e.target.result;
+                previewElement.style.display = 'block';
+            };
+            reader.readAsDataURL(file);
+        } else {
+            previewElement.src = "";
+            previewElement.style.display = 'none';
+        }
     }
 
     /**
-     * Displays a preview of the selected image.
+     * Grabs the current video frame as a JPEG File, cropped to the center the way
+     * object-fit: cover shows it in the camera stage.
      */
-    function setupImagePreview(fileInput, previewElement) {
-        fileInput.addEventListener('change', (event) => {
-            const file = event.target.files[0];
-            if (file) {
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    previewElement.src = e.target.result;
-                    previewElement.style.display = 'block';
-                    previewElement.alt = `Preview of ${fileInput.id}`;
+    function captureVideoFrame(video) {
+        const sourceWidth = video.videoWidth;
+        const sourceHeight = video.videoHeight;
+        const cropWidth = Math.min(sourceWidth, Math.round(sourceHeight * FRAME_ASPECT));
+        const cropHeight = Math.min(sourceHeight, Math.round(sourceWidth / FRAME_ASPECT));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = cropWidth;
+        canvas.height = cropHeight;
+        canvas.getContext('2d').drawImage(video,
+            (sourceWidth - cropWidth) / 2, (sourceHeight - cropHeight) / 2, cropWidth, cropHeight,
+            0, 0, cropWidth, cropHeight);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                if (!blob) return reject(new Error('Could not capture a camera frame.'));
+                resolve(new File([blob], 'camera.jpg', { type: 'image/jpeg' }));
+            }, 'image/jpeg', 0.92);
+        });
+    }
+
+
+    /**
+     * Turns a job payload into status text and an approximate 0-100 progress value.
+     * @param {object} job - The job payload from the stream or status endpoint.
+     * @param {object} messages - Resolved messages (see resolveMessages).
+     */
+    function describeProgress(job, messages) {
+        const progress = job.progress || {};
+        const eta = progress.eta ? formatMessage(messages.eta, { seconds: progress.eta }) : '';
+
+        if (job.jobStatus === 'queued') {
+            return { message: formatMessage(messages.waitingForSlot, { position: job.position }), percent: 5 };
+        }
+
+        switch (progress.stage) {
+            case 'retrying':
+                return { message: formatMessage(messages.retrying, progress), percent: 10 };
+            case 'queued': {
+                const template = !progress.position ? messages.aiQueue
+                    : progress.queueSize ? messages.aiQueuePositionOf : messages.aiQueuePosition;
+                return {
+                    message: formatMessage(template, { position: progress.position, queueSize: progress.queueSize, eta }),
+                    percent: 15
                 };
-                reader.readAsDataURL(file);
-            } else {
-                previewElement.src = "";
-                previewElement.style.display = 'none';
+            }
+            case 'processing': {
+                const hasPercent = progress.percent !== null && progress.percent !== undefined;
+                return {
+                    message: formatMessage(hasPercent ? messages.generatingPercent : messages.generating, { percent: progress.percent, eta }),
+                    percent: 20 + Math.round((progress.percent || 50) * 0.7)
+                };
+            }
+            case 'downloading':
+                return { message: messages.downloading, percent: 95 };
+            default:
+                return { message: messages.connecting, percent: 10 };
+        }
+    }
+
+    /**
+     * Creates an Error carrying the server's error code (or a client-side one such as VTON_NETWORK).
+     * @param {string} code - A VTON_* error code.
+     * @param {object} [data] - The error body: { message, errorDetails, retryAfter, requestId }.
+     */
+    function createTryOnError(code, data = {}) {
+        const error = new Error(data.message || code);
+        error.code = code;
+        error.details = data.errorDetails || null;
+        error.retryAfter = data.retryAfter || null;
+        error.requestId = data.requestId || null;
+        return error;
+    }
+
+    /**
+     * Localized user-facing message for a try-on error, ending with the server's request ID
+     * (when there is one) so shoppers can quote it to support.
+     * @param {Error} error - An error carrying a VTON_* code.
+     * @param {object} messages - Resolved messages (see resolveMessages).
+     */
+    function errorMessageFor(error, messages) {
+        const template = messages[error.code] || messages.VTON_INTERNAL;
+        const seconds = error.retryAfter || 60;
+        const wait = seconds >= 60
+            ? formatMessage(messages.waitMinutes, { minutes: Math.ceil(seconds / 60) })
+            : formatMessage(messages.waitSeconds, { seconds });
+        const message = formatMessage(template, { message: error.message, wait });
+        if (!error.requestId) return message;
+        return `${message} ${formatMessage(messages.errorReference, { requestId: error.requestId })}`;
+    }
+
+    /**
+     * Waits for the given time. Rejects early with the signal's reason if it is aborted.
+     */
+    function delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) return reject(signal.reason);
+            const timer = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(signal.reason);
+                }, { once: true });
             }
         });
     }
 
+    /**
+     * Asks the API whether try-ons work yet.
+     * Resolves with { status: 'ready' | 'warming_up' | 'unavailable', ready, retryAfter, ... }. A server
+     * without the readiness endpoint or that cannot be reached counts as ready, so the widget behaves as
+     * before and any real problem shows up when the shopper generates.
+     */
+    async function fetchReadiness() {
+        try {
+            const response = await fetch(READINESS_URL, { headers: { Accept: 'application/json' } });
+            const body = await response.json();
+            if (body && body.status) return body;
+        } catch (error) {
+            // Treated as ready below
+        }
+        return { status: 'ready', ready: true };
+    }
+
+    /**
+     * Calls listener(status) with the service readiness now (if known) and whenever it changes.
+     * All widgets share one poll, which stops once the service is ready. Returns an unsubscribe function.
+     */
+    function watchReadiness(listener) {
+        readiness.listeners.push(listener);
+        if (readiness.status) listener(readiness.status);
+
+        if (!readiness.polling && readiness.status !== 'ready') {
+            readiness.polling = true;
+            (async () => {
+                while (readiness.listeners.length > 0) {
+                    const body = await fetchReadiness();
+                    if (body.status !== readiness.status) {
+                        readiness.status = body.status;
+                        readiness.listeners.slice().forEach((notify) => notify(body.status));
+                    }
+                    if (body.status === 'ready') break;
+                    const wait = (body.retryAfter || 0) * 1000;
+                    await delay(Math.min(READINESS_MAX_POLL_MS, Math.max(READINESS_MIN_POLL_MS, wait)));
+                }
+                readiness.polling = false;
+            })();
+        }
+
+        return () => {
+            const index = readiness.listeners.indexOf(listener);
+            if (index !== -1) readiness.listeners.splice(index, 1);
+        };
+    }
+
+    /**
+     * Follows a try-on job over Server-Sent Events.
+     * Resolves with the final job payload; rejects if the stream breaks so the caller can fall back to polling.
+     * @param {string} streamUrl - The job stream path returned by the process endpoint.
+     * @param {function} onUpdate - Called with each intermediate job payload.
+     * @param {AbortSignal} [signal] - Closes the stream when aborted.
+     */
+    function streamJob(streamUrl, onUpdate, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) return reject(signal.reason);
+            const source = new EventSource(API_ROOT + streamUrl);
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    source.close();
+                    reject(signal.reason);
+                }, { once: true });
+            }
+
+            source.addEventListener('progress', (event) => onUpdate(JSON.parse(event.data)));
+            source.addEventListener('done', (event) => {
+                source.close();
+                resolve(JSON.parse(event.data));
+            });
+            source.onerror = () => {
+                source.close();
+                reject(new Error('Progress stream disconnected.'));
+            };
+        });
+    }
+
+    /**
+     * Polls a try-on job until it succeeds or fails.
+     * Resolves with the final job payload; rejects on network errors or timeout.
+     * @param {string} statusUrl - The job status path returned by the process endpoint.
+     * @param {function} onUpdate - Called with each intermediate job payload.
+     * @param {AbortSignal} [signal] - Stops polling when aborted.
+     * @param {string} [locale] - Language for server error messages.
+     */
+    async function pollJob(statusUrl, onUpdate, signal, locale) {
+        const jobUrl = API_ROOT + statusUrl;
+        const deadline = Date.now() + POLL_TIMEOUT_MS;
+
+        while (Date.now() < deadline) {
+            await delay(POLL_INTERVAL_MS, signal);
+
+            const response = await fetch(jobUrl, { signal, headers: apiHeaders(null, locale) });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw createTryOnError(data.code || 'VTON_INTERNAL', data);
+            }
+
+            if (data.jobStatus === 'succeeded' || data.jobStatus === 'failed') {
+                return data;
+            }
+
+            onUpdate(data);
+        }
+
+        throw createTryOnError('VTON_TIMEOUT', { message: 'Timed out waiting for the try-on result.' });
+    }
+
 
     /**
      * Handles the core logic of calling the VTON API and updating the result image.
+     * Submits a job, then polls until the result is ready.
      * @param {string} processId - Unique ID for status tracking.
-     * @param {string} personImageBase64 - Base64 data of the person image.
-     * @param {string} garmentImageBase64 - Base64 data of the garment image.
+     * @param {string | Blob} personImage - Person image as a File/Blob or Base64 data.
+     * @param {string | Blob} garmentImage - Garment image as a File/Blob or Base64 data.
      * @param {HTMLElement} finalResultImage - The <img> element to update.
-     * @param {boolean} isHeadless - True if called from VTON.process (Method 4).
+     * @param {function} statusUpdater - Called with (message, className, progress) to show status.
      * @param {HTMLElement | null} generateButton - The button to disable/enable (null if headless).
+     * @param {object} [requestOptions] - { params, apiKey, locale, messages, signal }: optional generation
+     *   parameters (garmentDescription, garmentCategory, autoCrop, denoiseSteps, seed), the merchant API key,
+     *   the locale and its resolved messages, and an AbortSignal that cancels the request. An aborted run
+     *   rejects with an AbortError and leaves the status untouched.
      */
-    async function processTryOn(processId, personImageBase64, garmentImageBase64, finalResultImage, isHeadless, generateButton) {
-        const statusUpdater = (message, className) => showStatus(processId, message, className, isHeadless);
+    async function processTryOn(processId, personImage, garmentImage, finalResultImage, statusUpdater, generateButton, requestOptions = {}) {
+        const params = requestOptions.params || {};
+        const signal = requestOptions.signal;
+        const locale = requestOptions.locale || 'en';
+        const messages = requestOptions.messages || resolveMessages(locale);
 
         if (generateButton) generateButton.disabled = true;
         
-        statusUpdater("Uploading and processing... This may take up to 3 minutes.", 'status-info');
+        statusUpdater(messages.uploading, 'status-info');
         
         // Hide result initially
         finalResultImage.src = "";
 
+        // The submitting request's ID, for errors that arrive without one (e.g. a polling timeout)
+        let requestId = null;
+
         try {
-            const response = await fetch(API_ENDPOINT, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ 
-                    personImageBase64: personImageBase64,
-                    garmentImageBase64: garmentImageBase64
-                })
-            });
+            const response = await fetch(API_ENDPOINT, Object.assign(
+                buildProcessRequest(personImage, garmentImage, params, apiHeaders(requestOptions.apiKey, locale)),
+                { signal }
+            ));
 
-            const data = await response.json();
+            const submitted = await response.json();
+            requestId = submitted.requestId || null;
+
+            if (!response.ok || !submitted.jobId) {
+                throw createTryOnError(submitted.code || 'VTON_INTERNAL', submitted);
+            }
 
-            if (response.ok && data.status === 'success' && data.processed_image_base64) {
-                const base64Image = data.processed_image_base64;
+            statusUpdater(messages.queued, 'status-info', 5);
 
-                // Prepend the data URL prefix for display
-                finalResultImage.src = `data:image/jpeg;base64,${base64Image}`;
+            const onUpdate = (job) => {
+                const { message, percent } = describeProgress(job, messages);
+                statusUpdater(message, 'status-info', percent);
+            };
+
+            let data;
+            if (window.EventSource && submitted.streamUrl) {
+                try {
+                    data = await streamJob(submitted.streamUrl, onUpdate, signal);
+                } catch (streamError) {
+                    if (signal && signal.aborted) throw streamError;
+                    console.warn(`VTON Process [${processId}] ${streamError.message} Falling back to polling.`);
+                    data = await pollJob(submitted.statusUrl, onUpdate, signal, locale);
+                }
+            } else {
+                data = await pollJob(submitted.statusUrl, onUpdate, signal, locale);
+            }
+
+            if (data.jobStatus === 'succeeded' && (data.imageUrl || data.processed_image_base64)) {
+                // Hosted results arrive as a short-lived signed link; base64 when the server does not host them
+                finalResultImage.src = data.imageUrl
+                    ? new URL(data.imageUrl, API_ROOT).href
+                    : `data:image/jpeg;base64,${data.processed_image_base64}`;
                 finalResultImage.style.display = 'block'; 
 
-                statusUpdater("Success! Image generated.", 'status-success');
+                statusUpdater(data.cached ? messages.successCached : messages.success, 'status-success', 100);
                 return finalResultImage.src; // Return URL for optional external use
             } else {
-                const errorMsg = data.message || data.errorDetails || `API Error: ${response.statusText}`;
-                statusUpdater(`Error: ${errorMsg}`, 'status-error');
-                throw new Error(errorMsg);
+                throw createTryOnError((data.error && data.error.code) || 'VTON_INTERNAL', data.error || {});
             }
 
         } catch (error) {
+            // Cancelled by reset() or destroy(); whoever aborted owns the UI now
+            if (signal && signal.aborted) throw error;
+
             console.error(`VTON Process [${processId}] Fetch Error:`, error);
-            statusUpdater(`Network/System Error: Could not connect to the server or process request.`, 'status-error');
+            // Errors without a server code come from fetch itself (offline, CORS, bad JSON)
+            if (!error.code) error.code = 'VTON_NETWORK';
+            if (!error.requestId) error.requestId = requestId;
+            statusUpdater(errorMessageFor(error, messages), 'status-error');
             throw error; // Re-throw to be caught by VTON.process caller
         } finally {
             if (generateButton) generateButton.disabled = false;
@@ -168,14 +1276,16 @@
 
     /**
      * Finds the single target image element.
+     * @param {HTMLElement} rootElement - The widget's container.
+     * @param {string | null} targetSelector - Selector set by VTON.init({ target }) or setTarget().
      */
-    function determineTargetElement(rootElement) {
-        // ... (Target determination logic remains the same for the widget UI)
-        if (globalTargetSelector) {
-            const externalElement = document.querySelector(globalTargetSelector);
+    function determineTargetElement(rootElement, targetSelector) {
+        if (targetSelector) {
+            const externalElement = document.querySelector(targetSelector);
             if (externalElement && externalElement.tagName === 'IMG') {
                 return externalElement;
             }
+            console.warn(`VTON Widget: Target '${targetSelector}' not found or is not an <img>. Using the default target.`);
         }
 
         const selectorAttribute = rootElement.getAttribute('data-target-selector') || rootElement.getAttribute('data-target-id');
@@ -196,129 +1306,787 @@
 
 
     /**
-     * Creates and returns the HTML structure for the widget.
+     * Creates the result section: a note about the external target, or the widget's own result image.
+     * @param {HTMLElement | null} externalTarget - The page's <img> that receives the result.
+     * @param {string} scope - The instance ID that prefixes every element ID.
+     * @param {object} labels - The widget's copy.
      */
-    function getWidgetHtml(externalTarget) {
-        const resultSection = externalTarget
-            ? `<p style="margin-top: 15px; color: #4CAF50;">Result will be applied to the image element: **${externalTarget.id ? '#' + externalTarget.id : externalTarget.tagName}**</p>`
-            : `<div id="vton-result-area">
-                 <h4>Try-On Result:</h4>
-                 <img id="vton-result-image" src="" alt="Try-on Result" style="display:none; max-width: 100%; height: auto; min-height: 200px; border: 3px solid #4CAF50; border-radius: 10px;">
-               </div>`;
+    function getResultSectionHtml(externalTarget, scope, labels) {
+        if (externalTarget) {
+            const target = externalTarget.id ? '#' + externalTarget.id : externalTarget.tagName.toLowerCase();
+            const note = formatMessage(escapeHtml(labels.resultTarget), { target: `<strong>${escapeHtml(target)}</strong>` });
+            return `<p class="vton-target-note">${note}</p>`;
+        }
+        return `<h4>${escapeHtml(labels.resultTitle)}</h4>
+               <img id="${scope}-result-image" class="vton-result-image" src="" alt="${escapeHtml(labels.resultImage)}">`;
+    }
 
-        return `
-            <style>
-                /* ... (Widget CSS remains the same for brevity) ... */
-                #vton-widget { max-width: 480px; margin: 0 auto; padding: 25px; border: 1px solid #e0e0e0; border-radius: 12px; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; box-shadow: 0 6px 20px rgba(0,0,0,0.08); background-color: #ffffff; }
-                #vton-widget h3 { margin-top: 0; color: #1a1a1a; text-align: center; font-size: 1.5em; border-bottom: 2px solid #f0f0f0; padding-bottom: 10px; margin-bottom: 20px; }
-                #vton-widget label { display: block; margin-top: 15px; margin-bottom: 5px; font-weight: 600; color: #333; font-size: 0.95em; }
-                #vton-widget input[type="file"] { width: 100%; padding: 10px; border: 1px solid #ccc; border-radius: 6px; box-sizing: border-box; }
-                .input-group { margin-bottom: 20px; display: flex; flex-direction: column; align-items: center; }
-                .preview-container { display: flex; justify-content: space-around; gap: 15px; margin: 10px 0 25px 0; width: 100%; }
-                .preview-wrapper { display: flex; flex-direction: column; align-items: center; width: 45%; }
-                .image-preview { width: 120px; height: 150px; object-fit: contain; border: 2px solid #ddd; border-radius: 8px; display: none; margin-top: 5px; padding: 5px; background-color: #f9f9f9; }
-                #vton-widget button { width: 100%; padding: 15px; margin-top: 20px; background-color: #4CAF50; color: white; border: none; border-radius: 8px; cursor: pointer; font-size: 1.1em; font-weight: bold; transition: background-color 0.3s, transform 0.1s; }
-                #vton-widget button:hover:not(:disabled) { background-color: #43a047; transform: translateY(-1px); }
-                #vton-widget button:disabled { background-color: #a5d6a7; cursor: not-allowed; }
-                #vton-status-message { margin-top: 15px; padding: 10px; border-radius: 6px; text-align: center; font-size: 1em; }
-                .status-info { color: #007bff; background-color: #e6f3ff; }
-                .status-success { color: #2ecc71; background-color: #e6fff0; }
-                .status-error { color: #e74c3c; background-color: #ffe6e6; }
-            </style>
-            <div id="vton-widget">
-                <h3>🛍️ Virtual Try-On</h3>
-                <div id="vton-status-message" class="status-info">Ready. (Max 10MB per image)</div>
 
-                <div class="input-group">
-                    <label for="personImageFile">1. Upload Your Photo (JPG/PNG):</label>
-                    <input type="file" id="personImageFile" accept="image/jpeg, image/png">
+    /**
+     * Creates the camera panel: live preview with a head-and-shoulders framing guide and a countdown.
+     * @param {string} scope - The instance ID.
+     * @param {object} labels - The widget's copy.
+     */
+    function getCameraHtml(scope, labels) {
+        return `
+                <div id="${scope}-camera" class="vton-camera" hidden>
+                    <div class="vton-camera-stage">
+                        <video id="${scope}-camera-video" autoplay playsinline muted></video>
+                        <svg class="vton-camera-guide" viewBox="0 0 300 400" preserveAspectRatio="xMidYMid meet" aria-hidden="true">
+                            <ellipse cx="150" cy="120" rx="48" ry="62"></ellipse>
+                            <path d="M30 400 C30 300 80 225 150 225 C220 225 270 300 270 400"></path>
+                        </svg>
+                        <div id="${scope}-camera-countdown" class="vton-camera-countdown" aria-live="assertive" hidden></div>
+                    </div>
+                    <p class="vton-camera-hint">${escapeHtml(labels.cameraHint)}</p>
+                    <div class="vton-camera-actions">
+                        <button type="button" id="${scope}-camera-capture" class="vton-primary-button">${escapeHtml(labels.takePhoto)}</button>
+                        <button type="button" id="${scope}-camera-cancel" class="vton-secondary-button">${escapeHtml(labels.cancelCamera)}</button>
+                    </div>
                 </div>
+`;
+    }
+
+
+    /**
+     * Creates and returns the HTML structure for the widget.
+     * Rendered inside the instance's shadow root, so the styles below neither leak
+     * into the page nor pick up the store's CSS. Element IDs are prefixed with the
+     * instance ID so several widgets can share a page. Colors, radius and font come
+     * from the --vton-* custom properties (see THEME_PROPERTIES).
+     * @param {HTMLElement | null} externalTarget - The page's <img> that receives the result.
+     * @param {string} scope - The instance ID.
+     * @param {object} config - { layout, labels } from readWidgetConfig.
+     */
+    function getWidgetHtml(externalTarget, scope, config) {
+        const labels = config.labels;
+        const widget = `
+            <div class="vton-widget layout-${config.layout}">
+                <h3>${escapeHtml(labels.title)}</h3>
+                <div id="${scope}-status" class="vton-status" role="status" aria-live="polite"></div>
 
                 <div class="input-group">
-                    <label for="clothImageFile">2. Upload Cloth/Garment Photo (JPG/PNG):</label>
-                    <input type="file" id="clothImageFile" accept="image/jpeg, image/png">
+                    <label for="${scope}-person-file">${escapeHtml(labels.personUpload)}</label>
+                    <input type="file" id="${scope}-person-file" accept="image/jpeg, image/png, image/webp, image/heic, image/heif">
+                    ${config.camera ? `<button type="button" id="${scope}-camera-button" class="vton-secondary-button">${escapeHtml(labels.useCamera)}</button>` : ''}
+                    ${config.rememberPhoto ? `
+                    <label class="vton-remember"><input type="checkbox" id="${scope}-remember-photo"> ${escapeHtml(formatMessage(labels.rememberPhoto, { days: config.rememberPhotoDays }))}</label>
+                    <button type="button" id="${scope}-forget-photo" class="vton-link-button" hidden>${escapeHtml(labels.forgetPhoto)}</button>` : ''}
+                </div>
+${config.camera ? getCameraHtml(scope, labels) : ''}
+                <div id="${scope}-garment-group" class="input-group">
+                    <label for="${scope}-cloth-file">${escapeHtml(labels.garmentUpload)}</label>
+                    <input type="file" id="${scope}-cloth-file" accept="image/jpeg, image/png, image/webp, image/heic, image/heif">
                 </div>
 
                 <div class="preview-container">
                     <div class="preview-wrapper">
-                        <img id="personImagePreview" class="image-preview" src="" alt="Your Photo Preview">
-                        <small style="margin-top: 5px; color: #555;">Your Photo</small>
+                        <img id="${scope}-person-preview" class="image-preview" src="" alt="${escapeHtml(labels.personPreview)}">
+                        <small>${escapeHtml(labels.personPreview)}</small>
                     </div>
                     <div class="preview-wrapper">
-                        <img id="clothImagePreview" class="image-preview" src="" alt="Cloth Photo">
-                        <small style="margin-top: 5px; color: #555;">Cloth Photo</small>
+                        <img id="${scope}-cloth-preview" class="image-preview" src="" alt="${escapeHtml(labels.garmentPreview)}">
+                        <small>${escapeHtml(labels.garmentPreview)}</small>
                     </div>
                 </div>
 
-                <button id="vton-generate-button">Generate Try-On Image</button>
+                <button type="button" id="${scope}-generate-button" class="vton-generate-button">${escapeHtml(labels.generateButton)}</button>
+
+                <div id="${scope}-result-area" class="vton-result-area">${getResultSectionHtml(externalTarget, scope, labels)}</div>
+            </div>`;
+
+        // The floating layout wraps the widget in a modal opened by a launcher button
+        const body = config.layout !== 'floating' ? widget : `
+            <button type="button" id="${scope}-launcher" class="vton-launcher" aria-haspopup="dialog">${escapeHtml(labels.launcherButton)}</button>
+            <div id="${scope}-modal" class="vton-modal" role="dialog" aria-modal="true" aria-label="${escapeHtml(labels.title)}" hidden>
+                <div id="${scope}-backdrop" class="vton-modal-backdrop"></div>
+                <div class="vton-modal-body">
+                    <button type="button" id="${scope}-close" class="vton-close" aria-label="${escapeHtml(labels.closeButton)}">&times;</button>
+                    ${widget}
+                </div>
+            </div>`;
+
+        return `
+            <style>
+                /* Reset inherited page styles (font, color, line-height) at the shadow boundary.
+                   Custom properties still inherit, so --vton-* set on the container apply. */
+                :host { all: initial; display: block; }
+                .vton-widget { max-width: 480px; margin: 0 auto; padding: 25px; border: 1px solid #e0e0e0; border-radius: var(--vton-radius, 12px); font-family: var(--vton-font, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif); box-shadow: 0 6px 20px rgba(0,0,0,0.08); background-color: var(--vton-background, #ffffff); color: var(--vton-text, #1a1a1a); box-sizing: border-box; }
+                .vton-widget h3 { margin-top: 0; color: inherit; text-align: center; font-size: 1.5em; border-bottom: 2px solid #f0f0f0; padding-bottom: 10px; margin-bottom: 20px; }
+                .vton-widget label { display: block; margin-top: 15px; margin-bottom: 5px; font-weight: 600; color: var(--vton-text, #333); font-size: 0.95em; }
+                .vton-widget input[type="file"] { width: 100%; padding: 10px; border: 1px solid #ccc; border-radius: calc(var(--vton-radius, 12px) / 2); box-sizing: border-box; font-family: inherit; }
+                .input-group { margin-bottom: 20px; display: flex; flex-direction: column; align-items: center; }
+                .input-group[hidden] { display: none; }
+                .preview-container { display: flex; justify-content: space-around; gap: 15px; margin: 10px 0 25px 0; width: 100%; }
+                .preview-wrapper { display: flex; flex-direction: column; align-items: center; width: 45%; }
+                .preview-wrapper small { margin-top: 5px; color: inherit; opacity: 0.75; }
+                .image-preview { width: 120px; height: 150px; object-fit: contain; border: 2px solid #ddd; border-radius: calc(var(--vton-radius, 12px) * 2 / 3); display: none; margin-top: 5px; padding: 5px; background-color: #f9f9f9; }
+                .vton-generate-button { width: 100%; padding: 15px; margin-top: 20px; background-color: var(--vton-primary, #4CAF50); color: var(--vton-primary-text, #ffffff); border: none; border-radius: calc(var(--vton-radius, 12px) * 2 / 3); cursor: pointer; font-family: inherit; font-size: 1.1em; font-weight: bold; transition: filter 0.3s, transform 0.1s; }
+                .vton-generate-button:hover:not(:disabled) { filter: brightness(0.92); transform: translateY(-1px); }
+                .vton-generate-button:disabled { opacity: 0.5; cursor: not-allowed; }
+                .vton-secondary-button, .vton-primary-button { width: 100%; padding: 10px; margin-top: 8px; border: 2px solid var(--vton-primary, #4CAF50); border-radius: calc(var(--vton-radius, 12px) * 2 / 3); cursor: pointer; font-family: inherit; font-size: 0.95em; font-weight: 600; }
+                .vton-secondary-button { background-color: transparent; color: var(--vton-primary, #4CAF50); }
+                .vton-primary-button { background-color: var(--vton-primary, #4CAF50); color: var(--vton-primary-text, #ffffff); }
+                .vton-primary-button:disabled { opacity: 0.5; cursor: not-allowed; }
+                .vton-widget label.vton-remember { display: flex; align-items: center; gap: 8px; margin-top: 10px; margin-bottom: 0; font-weight: normal; font-size: 0.9em; cursor: pointer; }
+                .vton-link-button { margin-top: 6px; padding: 0; border: none; background: none; color: var(--vton-primary, #4CAF50); font-family: inherit; font-size: 0.9em; text-decoration: underline; cursor: pointer; }
+                .vton-link-button[hidden] { display: none; }
+                .vton-camera { margin-bottom: 20px; }
+                .vton-camera[hidden], .vton-camera-countdown[hidden] { display: none; }
+                .vton-camera-stage { position: relative; width: 100%; max-width: calc(60vh * 3 / 4); aspect-ratio: 3 / 4; margin: 0 auto; overflow: hidden; border-radius: calc(var(--vton-radius, 12px) * 2 / 3); background-color: #000000; }
+                .vton-camera-stage video { width: 100%; height: 100%; object-fit: cover; transform: scaleX(-1); /* Mirror like a selfie camera */ }
+                .vton-camera-guide { position: absolute; top: 0; left: 0; width: 100%; height: 100%; pointer-events: none; fill: none; stroke: rgba(255,255,255,0.85); stroke-width: 3; stroke-dasharray: 8 6; }
+                .vton-camera-countdown { position: absolute; top: 0; right: 0; bottom: 0; left: 0; display: flex; align-items: center; justify-content: center; color: #ffffff; font-size: 5em; font-weight: bold; text-shadow: 0 2px 12px rgba(0,0,0,0.6); }
+                .vton-camera-hint { margin: 8px 0 0 0; text-align: center; font-size: 0.9em; opacity: 0.8; }
+                .vton-camera-actions { display: flex; gap: 10px; }
+                .vton-status { margin-top: 15px; padding: 10px; border-radius: calc(var(--vton-radius, 12px) / 2); text-align: center; font-size: 1em; }
+                .vton-target-note { margin-top: 15px; color: var(--vton-primary, #4CAF50); }
+                .vton-result-image { display: none; max-width: 100%; height: auto; min-height: 200px; border: 3px solid var(--vton-primary, #4CAF50); border-radius: calc(var(--vton-radius, 12px) * 5 / 6); }
+                .status-info { color: #007bff; background-color: #e6f3ff; }
+                .status-success { color: #2ecc71; background-color: #e6fff0; }
+                .status-error { color: #e74c3c; background-color: #ffe6e6; }
+
+                /* Compact layout: same controls, tighter spacing */
+                .layout-compact { max-width: 360px; padding: 15px; }
+                .layout-compact h3 { font-size: 1.2em; padding-bottom: 6px; margin-bottom: 10px; }
+                .layout-compact label { margin-top: 8px; font-size: 0.9em; }
+                .layout-compact .input-group { margin-bottom: 10px; }
+                .layout-compact .preview-container { margin: 5px 0 10px 0; }
+                .layout-compact .image-preview { width: 80px; height: 100px; }
+                .layout-compact .vton-generate-button { padding: 10px; margin-top: 10px; font-size: 1em; }
 
-                ${resultSection}
-            </div>
+                /* Floating layout: launcher button plus modal */
+                .vton-launcher { position: fixed; bottom: 20px; right: 20px; z-index: 2147483000; padding: 12px 20px; border: none; border-radius: 999px; background-color: var(--vton-primary, #4CAF50); color: var(--vton-primary-text, #ffffff); font-family: var(--vton-font, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif); font-size: 1em; font-weight: bold; box-shadow: 0 4px 14px rgba(0,0,0,0.25); cursor: pointer; }
+                .vton-modal { position: fixed; top: 0; right: 0; bottom: 0; left: 0; z-index: 2147483001; display: flex; align-items: center; justify-content: center; }
+                .vton-modal[hidden] { display: none; }
+                .vton-modal-backdrop { position: absolute; top: 0; right: 0; bottom: 0; left: 0; background-color: rgba(0,0,0,0.5); }
+                .vton-modal-body { position: relative; width: 92vw; max-width: 480px; max-height: 90vh; overflow-y: auto; }
+                .vton-close { position: absolute; top: 8px; right: 12px; z-index: 1; border: none; background: none; color: var(--vton-text, #1a1a1a); font-size: 1.8em; line-height: 1; cursor: pointer; }
+
+                /* Right-to-left locales: flex rows and text follow dir; mirror the fixed corners */
+                :host([dir="rtl"]) .vton-launcher { right: auto; left: 20px; }
+                :host([dir="rtl"]) .vton-close { right: auto; left: 12px; }
+            </style>
+            ${body}
         `;
     }
 
 
     /**
-     * Main function to initialize the widget.
+     * One interactive widget (Method 1-3). Each instance renders into its own
+     * shadow root and keeps its own target, API key, messages and status, so a
+     * product page and a quick-view modal can each host one.
      */
-    function initializeWidget() {
-        let rootElement = document.getElementById("vton");
-        
-        const rootId = rootElement ? 'vton' : (document.currentScript ? document.currentScript.getAttribute('data-root-id') : 'vton');
+    class TryOnWidget {
+        /**
+         * @param {HTMLElement} rootElement - The container the widget renders into.
+         * @param {object} [options] - The VTON.init options (target, apiKey, locale, messages, onError, ...).
+         */
+        constructor(rootElement, options = {}) {
+            this.id = `vton-${++instanceCounter}`;
+            this.rootElement = rootElement;
+            this.targetSelector = options.target || null;
+            this.apiKey = rootElement.getAttribute('data-api-key') || options.apiKey || null;
+            this.locale = resolveLocale(options.locale || rootElement.getAttribute('data-locale'));
+            this.messages = resolveMessages(this.locale, options.messages);
+            this.onError = typeof options.onError === 'function' ? options.onError : null;
+            this.config = readWidgetConfig(rootElement, options, this.messages);
 
-        if (!rootElement) {
-            // Find root element based on VTON.init() call or custom ID
-            rootElement = document.getElementById(rootId);
-            if (!rootElement) {
-                console.warn("VTON Widget container ('#vton' or custom ID) not found. Programmatic use via VTON.process() is still available.");
+            this.host = null; // Element holding the shadow root
+            this.shadow = null;
+            this.elements = null;
+            this.resultImage = null; // External target or the widget's own result <img>
+            this.controller = null; // AbortController of the running try-on
+            this.photos = { person: null, garment: null }; // Prepared File per slot
+            this.photoTasks = { person: null, garment: null }; // Preparation in progress per slot
+            this.savedPhoto = null; // The person File kept by "remember my photo", if any
+            this.garment = this.config.garment; // Garment supplied by the page (see readGarmentSource), or null
+            this.garmentCache = null; // { url, file } of the last page garment fetched
+            this.garmentObserver = null; // Watches the product <img> for variant switches
+            this.hasResult = false; // A try-on result is showing (variant switches regenerate it)
+            this.serviceStatus = null; // Readiness reported by the API ('ready', 'warming_up', 'unavailable')
+            this.stopWatchingReadiness = null;
+            this.idle = false; // The status line shows the idle message, so readiness changes may replace it
+            this.cameraStream = null;
+            this.countdownTimer = null;
+            this.destroyed = false;
+        }
+
+        /**
+         * Finds an element of this instance by its unscoped name (e.g. 'status').
+         */
+        find(name) {
+            return this.shadow.querySelector(`#${this.id}-${name}`);
+        }
+
+        /**
+         * Renders the widget into a fresh shadow root, replacing the container's contents.
+         */
+        mount() {
+            if (this.destroyed || this.host) return;
+
+            this.host = document.createElement('div');
+            this.host.className = 'vton-host';
+            this.host.setAttribute('lang', this.locale);
+            this.host.setAttribute('dir', isRtl(this.locale) ? 'rtl' : 'ltr');
+            this.shadow = this.host.attachShadow({ mode: 'open' });
+            Object.keys(this.config.theme).forEach((name) => {
+                this.host.style.setProperty(THEME_PROPERTIES[name], this.config.theme[name]);
+            });
+            this.rootElement.replaceChildren(this.host);
+
+            const externalTarget = determineTargetElement(this.rootElement, this.targetSelector);
+            this.shadow.innerHTML = getWidgetHtml(externalTarget, this.id, this.config);
+
+            this.elements = {
+                personInput: this.find('person-file'),
+                clothInput: this.find('cloth-file'),
+                personPreview: this.find('person-preview'),
+                clothPreview: this.find('cloth-preview'),
+                generateButton: this.find('generate-button'),
+                status: this.find('status'),
+                resultArea: this.find('result-area'),
+                launcher: this.find('launcher'),
+                modal: this.find('modal'),
+                cameraButton: this.find('camera-button'),
+                camera: this.find('camera'),
+                cameraVideo: this.find('camera-video'),
+                cameraCountdown: this.find('camera-countdown'),
+                cameraCapture: this.find('camera-capture'),
+                garmentGroup: this.find('garment-group'),
+                rememberPhoto: this.find('remember-photo'),
+                forgetPhoto: this.find('forget-photo')
+            };
+            this.resultImage = externalTarget || this.find('result-image');
+
+            this.elements.personInput.addEventListener('change', (event) => this.setPhoto('person', event.target.files[0]));
+            this.elements.clothInput.addEventListener('change', (event) => this.setPhoto('garment', event.target.files[0]));
+            this.elements.generateButton.addEventListener('click', () => this.generate());
+
+            if (this.elements.camera) {
+                this.elements.cameraButton.addEventListener('click', () => this.openCamera());
+                this.elements.cameraCapture.addEventListener('click', () => this.captureFromCamera());
+                this.find('camera-cancel').addEventListener('click', () => this.closeCamera());
+            }
+
+            if (this.elements.rememberPhoto) {
+                this.elements.rememberPhoto.addEventListener('change', (event) => {
+                    if (event.target.checked) {
+                        if (this.photos.person) this.rememberPhoto(this.photos.person);
+                    } else if (this.savedPhoto) {
+                        this.forgetPhoto(); // Withdrawing consent deletes the photo
+                    }
+                });
+                this.elements.forgetPhoto.addEventListener('click', () => this.forgetPhoto());
+            }
+
+            if (this.elements.modal) {
+                this.elements.launcher.addEventListener('click', () => this.open());
+                this.find('close').addEventListener('click', () => this.close());
+                this.find('backdrop').addEventListener('click', () => this.close());
+                this.elements.modal.addEventListener('keydown', (event) => {
+                    if (event.key === 'Escape') this.close();
+                });
+            }
+
+            this.watchGarment();
+            this.updateGarmentUi();
+            this.showReady();
+            this.watchReadiness();
+            this.restoreSavedPhoto();
+        }
+
+        /**
+         * Opens the modal of the floating layout. No-op for other layouts.
+         */
+        open() {
+            if (!this.elements || !this.elements.modal) return this;
+            this.elements.modal.hidden = false;
+            this.find('close').focus();
+            return this;
+        }
+
+        /**
+         * Closes the modal of the floating layout and stops the camera. A running try-on keeps going.
+         */
+        close() {
+            if (!this.elements || !this.elements.modal) return this;
+            this.closeCamera();
+            this.elements.modal.hidden = true;
+            this.elements.launcher.focus();
+            return this;
+        }
+
+        showStatus(message, className, progress) {
+            this.idle = false;
+            renderStatus(this.elements.status, message, className, progress);
+        }
+
+        /**
+         * Shows the idle message: "ready", or that the service is warming up / unavailable.
+         */
+        showReady() {
+            if (this.serviceStatus === 'warming_up') {
+                this.showStatus(this.messages.warmingUp, 'status-info');
+            } else if (this.serviceStatus === 'unavailable') {
+                this.showStatus(this.messages.serviceUnavailable, 'status-error');
+            } else {
+                this.showStatus(this.config.labels.ready, 'status-info');
+            }
+            this.idle = true;
+        }
+
+        /**
+         * Follows the shared readiness poll, updating the idle message while nothing else is shown.
+         */
+        watchReadiness() {
+            if (!this.config.checkReadiness) return;
+            this.stopWatchingReadiness = watchReadiness((status) => {
+                this.serviceStatus = status;
+                if (this.elements && this.idle) this.showReady();
+            });
+        }
+
+        /**
+         * Sets the person or garment photo (a File from the input or the camera). The photo is
+         * prepared for upload first (see prepareImage) and the preview shows the prepared version.
+         * @param {string} slot - 'person' or 'garment'.
+         * @param {File | null} file
+         */
+        setPhoto(slot, file) {
+            const preview = slot === 'person' ? this.elements.personPreview : this.elements.clothPreview;
+            const input = slot === 'person' ? this.elements.personInput : this.elements.clothInput;
+            this.photos[slot] = null;
+            showImagePreview(null, preview);
+
+            if (!file) {
+                this.photoTasks[slot] = null;
+                return Promise.resolve(null);
+            }
+
+            this.showStatus(this.messages.preparingPhoto, 'status-info');
+            const task = prepareImage(file, this.config.image)
+                .then((prepared) => {
+                    // Ignore a result that a newer choice (or reset/destroy) has replaced
+                    if (this.photoTasks[slot] !== task || !this.elements) return null;
+                    this.photos[slot] = prepared;
+                    showImagePreview(prepared, preview);
+                    this.showReady();
+                    if (slot === 'person' && this.elements.rememberPhoto && this.elements.rememberPhoto.checked) {
+                        this.rememberPhoto(prepared);
+                    }
+                    return prepared;
+                })
+                .catch((error) => {
+                    if (this.photoTasks[slot] !== task || !this.elements) return null;
+                    console.warn(`VTON Widget [${this.id}] Could not prepare the ${slot} photo:`, error.message);
+                    input.value = '';
+                    this.showStatus(errorMessageFor(error, this.messages), 'status-error');
+                    if (this.onError) this.onError(error);
+                    return null;
+                })
+                .then((prepared) => {
+                    if (this.photoTasks[slot] === task) this.photoTasks[slot] = null;
+                    return prepared;
+                });
+            this.photoTasks[slot] = task;
+            return task;
+        }
+
+        /**
+         * Absolute URL of the page-supplied garment right now (a product <img> reports its current
+         * src, so a variant switch is picked up), or null.
+         */
+        getGarmentUrl() {
+            if (!this.garment) return null;
+            const { src, selector, element } = this.garment;
+            const image = element || (selector ? document.querySelector(selector) : null);
+            const url = image ? image.currentSrc || image.getAttribute('src') : src;
+            return url ? new URL(url, document.baseURI).href : null;
+        }
+
+        /**
+         * Observes the product <img> (if the garment comes from one) for src changes.
+         */
+        watchGarment() {
+            if (this.garmentObserver) this.garmentObserver.disconnect();
+            this.garmentObserver = null;
+            if (!this.garment || this.garment.src) return;
+
+            const image = this.garment.element || document.querySelector(this.garment.selector);
+            if (!image) {
+                console.warn(`VTON Widget [${this.id}] Garment image '${this.garment.selector}' not found.`);
+                return;
+            }
+            this.garmentObserver = new MutationObserver(() => this.onGarmentChanged());
+            this.garmentObserver.observe(image, { attributes: true, attributeFilter: ['src', 'srcset'] });
+        }
+
+        /**
+         * Hides the garment upload while the page supplies the garment, and previews that garment.
+         */
+        updateGarmentUi() {
+            if (!this.elements) return;
+            this.elements.garmentGroup.hidden = !!this.garment;
+            if (this.photos.garment || this.photoTasks.garment) return;
+
+            const url = this.getGarmentUrl();
+            if (url) {
+                this.elements.clothPreview.src = url;
+                this.elements.clothPreview.style.display = 'block';
+            } else {
+                showImagePreview(null, this.elements.clothPreview);
+            }
+        }
+
+        /**
+         * Variant-switch hook: swaps the page-supplied garment (URL, <img>, { src } or { selector };
+         * null brings back the garment upload). A result already shown, or a try-on in progress,
+         * is regenerated with the new garment unless rerunOnGarmentChange is off.
+         */
+        setGarment(source) {
+            this.garment = readGarmentSource(source);
+            if (!this.elements) return this;
+            this.watchGarment();
+            this.onGarmentChanged();
+            return this;
+        }
+
+        onGarmentChanged() {
+            if (!this.elements) return;
+            this.updateGarmentUi();
+            if (this.config.rerunOnGarmentChange && (this.hasResult || this.controller) && this.photos.person) {
+                this.generate();
+            }
+        }
+
+        /**
+         * Fetches and prepares the page-supplied garment, reusing the last one for the same URL.
+         * Resolves with a File, or with { url } when the browser cannot fetch it (see remoteImage).
+         */
+        async loadGarment(url, signal) {
+            if (this.garmentCache && this.garmentCache.url === url) return this.garmentCache.file;
+
+            this.showStatus(this.messages.fetchingImages, 'status-info');
+            let file;
+            try {
+                file = await urlToFile(url, this.config.image, signal);
+            } catch (error) {
+                if (signal.aborted) throw error;
+                if (!error.code) return remoteImage(url, error);
+                const garmentError = createTryOnError('VTON_GARMENT_UNAVAILABLE', { message: `Could not load the garment image ${url}: ${error.message}` });
+                this.showStatus(errorMessageFor(garmentError, this.messages), 'status-error');
+                throw garmentError;
+            }
+            this.garmentCache = { url, file };
+            return file;
+        }
+
+        /**
+         * Uses the shopper's saved photo (if any) as the person photo, unless one is already chosen.
+         */
+        restoreSavedPhoto() {
+            if (!this.config.rememberPhoto || this.photos.person || this.photoTasks.person) return Promise.resolve(null);
+
+            // Claims the slot like setPhoto, so a photo chosen meanwhile wins and generate() waits for this
+            const task = loadSavedPhoto().then((file) => {
+                if (this.photoTasks.person !== task) return null;
+                this.photoTasks.person = null;
+                if (!file || !this.elements) return null;
+
+                this.photos.person = file;
+                this.savedPhoto = file;
+                showImagePreview(file, this.elements.personPreview);
+                this.elements.rememberPhoto.checked = true;
+                this.elements.forgetPhoto.hidden = false;
+                this.showStatus(this.messages.savedPhotoLoaded, 'status-info');
+                return file;
+            });
+            this.photoTasks.person = task;
+            return task;
+        }
+
+        /**
+         * Saves a prepared person photo for rememberPhotoDays (the shopper has ticked the consent box).
+         */
+        rememberPhoto(file) {
+            return savePhoto(file, this.config.rememberPhotoDays)
+                .then(() => {
+                    this.savedPhoto = file;
+                    if (this.elements) this.elements.forgetPhoto.hidden = false;
+                })
+                .catch((error) => {
+                    console.warn(`VTON Widget [${this.id}] Could not save the photo:`, error && error.message);
+                });
+        }
+
+        /**
+         * Deletes the saved photo from this device and clears it from every widget showing it.
+         */
+        forgetPhoto() {
+            return forgetSavedPhoto()
+                .catch((error) => {
+                    console.warn(`VTON Widget [${this.id}] Could not delete the saved photo:`, error && error.message);
+                })
+                .then(() => {
+                    instances.forEach((widget) => widget.clearSavedPhoto());
+                    if (this.elements) this.showStatus(this.messages.photoForgotten, 'status-info');
+                });
+        }
+
+        /**
+         * Unticks "remember my photo" and drops the person photo if it is the saved one.
+         */
+        clearSavedPhoto() {
+            if (!this.elements || !this.elements.rememberPhoto) return;
+            this.elements.rememberPhoto.checked = false;
+            this.elements.forgetPhoto.hidden = true;
+            if (this.savedPhoto && this.photos.person === this.savedPhoto) {
+                this.elements.personInput.value = '';
+                this.setPhoto('person', null);
+            }
+            this.savedPhoto = null;
+        }
+
+        /**
+         * Starts the camera and shows the live preview. Falls back to the file input,
+         * with an explanation, when permission is denied or there is no camera.
+         */
+        async openCamera() {
+            if (!this.elements || !this.elements.camera || this.cameraStream) return;
+            const { camera, cameraButton, cameraVideo, cameraCapture } = this.elements;
+
+            this.showStatus(this.messages.cameraStarting, 'status-info');
+            cameraButton.disabled = true;
+
+            let stream;
+            try {
+                stream = await navigator.mediaDevices.getUserMedia({
+                    video: { facingMode: 'user', width: { ideal: 1280 }, height: { ideal: 1280 } },
+                    audio: false
+                });
+            } catch (error) {
+                console.warn(`VTON Widget [${this.id}] Camera unavailable:`, error.name, error.message);
+                if (!this.elements) return;
+                cameraButton.disabled = false;
+                const denied = error.name === 'NotAllowedError' || error.name === 'SecurityError';
+                // Without a camera there is nothing to retry, so stop offering it
+                if (!denied) cameraButton.hidden = true;
+                this.showStatus(denied ? this.messages.cameraDenied : this.messages.cameraUnavailable, 'status-error');
+                return;
+            }
+
+            // Destroyed or closed while the permission prompt was open
+            if (!this.elements || (this.elements.modal && this.elements.modal.hidden)) {
+                stream.getTracks().forEach((track) => track.stop());
                 return;
             }
+
+            this.cameraStream = stream;
+            cameraVideo.srcObject = stream;
+            camera.hidden = false;
+            cameraButton.hidden = true;
+            cameraCapture.disabled = false;
+            this.showReady();
         }
 
+        /**
+         * Counts down, then takes the person photo from the live preview.
+         */
+        captureFromCamera() {
+            if (!this.cameraStream || this.countdownTimer) return;
+            const { cameraCountdown, cameraCapture, cameraVideo } = this.elements;
+            cameraCapture.disabled = true;
+
+            let remaining = this.config.cameraCountdown;
+            const tick = async () => {
+                if (remaining > 0) {
+                    cameraCountdown.textContent = String(remaining);
+                    cameraCountdown.hidden = false;
+                    remaining--;
+                    this.countdownTimer = setTimeout(tick, 1000);
+                    return;
+                }
 
-        const externalTargetElement = determineTargetElement(rootElement);
+                this.countdownTimer = null;
+                cameraCountdown.hidden = true;
+                try {
+                    if (!cameraVideo.videoWidth) throw new Error('The camera has not delivered a frame yet.');
+                    const file = await captureVideoFrame(cameraVideo);
+                    if (!this.elements) return;
+                    this.closeCamera();
+                    // A captured photo replaces any file chosen earlier
+                    this.elements.personInput.value = '';
+                    if (await this.setPhoto('person', file)) {
+                        this.showStatus(this.messages.cameraCaptured, 'status-success');
+                    }
+                } catch (error) {
+                    console.warn(`VTON Widget [${this.id}] Camera capture failed:`, error.message);
+                    if (!this.elements) return;
+                    this.closeCamera();
+                    this.showStatus(this.messages.cameraUnavailable, 'status-error');
+                }
+            };
+            tick();
+        }
 
-        rootElement.innerHTML = getWidgetHtml(externalTargetElement);
+        /**
+         * Stops the camera and hides its panel.
+         */
+        closeCamera() {
+            if (this.countdownTimer) {
+                clearTimeout(this.countdownTimer);
+                this.countdownTimer = null;
+            }
+            if (this.cameraStream) {
+                this.cameraStream.getTracks().forEach((track) => track.stop());
+                this.cameraStream = null;
+            }
+            if (!this.elements || !this.elements.camera) return;
 
-        const personImageFileInput = document.getElementById("personImageFile");
-        const clothImageFileInput = document.getElementById("clothImageFile");
-        const personImagePreview = document.getElementById("personImagePreview");
-        const clothImagePreview = document.getElementById("clothImagePreview");
-        const generateButton = document.getElementById("vton-generate-button");
-        // Assign status element for the interactive widget
-        widgetStatusElement = document.getElementById("vton-status-message"); 
+            const { camera, cameraButton, cameraVideo, cameraCountdown } = this.elements;
+            cameraVideo.srcObject = null;
+            camera.hidden = true;
+            cameraCountdown.hidden = true;
+            cameraButton.hidden = false;
+            cameraButton.disabled = false;
+        }
 
-        const finalResultImage = externalTargetElement || document.getElementById("vton-result-image");
+        /**
+         * Runs a try-on with the selected or captured photos. Event listener for the generate button.
+         */
+        async generate() {
+            // Photos still being prepared are worth waiting for
+            await Promise.all([this.photoTasks.person, this.photoTasks.garment]);
+            if (!this.elements) return;
 
-        setupImagePreview(personImageFileInput, personImagePreview);
-        setupImagePreview(clothImageFileInput, clothImagePreview);
+            const personFile = this.photos.person;
+            const garmentUrl = this.photos.garment ? null : this.getGarmentUrl();
 
-        // Event listener for the generate button (Method 1-3)
-        generateButton.addEventListener("click", async () => {
-            const personFile = personImageFileInput.files[0];
-            const clothFile = clothImageFileInput.files[0];
-            
-            if (!personFile || !clothFile) {
-                widgetStatusElement.textContent = `Error: Please upload both images.`;
-                widgetStatusElement.className = 'status-error';
+            if (!personFile || (!this.photos.garment && !garmentUrl)) {
+                this.showStatus(this.messages.missingImages, 'status-error');
                 return;
             }
 
+            this.cancel();
+            const controller = new AbortController();
+            this.controller = controller;
+
             try {
-                const [personImageBase64, garmentImageBase64] = await Promise.all([
-                    fileToBase64(personFile),
-                    fileToBase64(clothFile)
-                ]);
-                
-                // Use widgetStatusElement for tracking and pass its ID for unique status management
-                await processTryOn('widget', personImageBase64, garmentImageBase64, finalResultImage, false, generateButton);
+                const clothFile = this.photos.garment || await this.loadGarment(garmentUrl, controller.signal);
 
+                // Upload the File objects directly as multipart form data
+                await processTryOn(this.id, personFile, clothFile, this.resultImage,
+                    (message, className, progress) => this.showStatus(message, className, progress),
+                    this.elements.generateButton,
+                    {
+                        params: pickParams(this.rootElement.dataset),
+                        apiKey: this.apiKey,
+                        locale: this.locale,
+                        messages: this.messages,
+                        signal: controller.signal
+                    }
+                );
+                this.hasResult = true;
             } catch (error) {
-                console.error("VTON Widget File Read Error:", error);
-                widgetStatusElement.textContent = `Error reading files.`;
-                widgetStatusElement.className = 'status-error';
+                if (controller.signal.aborted) return;
+                // processTryOn (or loadGarment) has already shown the error in the status area
+                console.error(`VTON Widget [${this.id}] Process Error:`, error);
+                if (this.onError) this.onError(error);
+            } finally {
+                if (this.controller === controller) this.controller = null;
             }
-        });
+        }
+
+        /**
+         * Aborts the running try-on, if any.
+         */
+        cancel() {
+            if (this.controller) {
+                this.controller.abort(new DOMException('Try-on cancelled.', 'AbortError'));
+                this.controller = null;
+            }
+        }
+
+        /**
+         * Cancels any running try-on, stops the camera and clears the photos, previews and result.
+         * A saved photo ("remember my photo") is put back. An external target image is left as it is.
+         */
+        reset() {
+            this.cancel();
+            this.closeCamera();
+            if (!this.elements) return this;
+
+            const { personInput, clothInput, generateButton } = this.elements;
+            [personInput, clothInput].forEach((input) => { input.value = ''; });
+            this.setPhoto('person', null);
+            this.setPhoto('garment', null);
+            this.updateGarmentUi();
+            this.hasResult = false;
+            generateButton.disabled = false;
+
+            const ownResult = this.find('result-image');
+            if (ownResult) {
+                ownResult.src = '';
+                ownResult.style.display = 'none';
+            }
+
+            this.showReady();
+            this.restoreSavedPhoto();
+            return this;
+        }
+
+        /**
+         * Sends future results to another <img> (selector), or back to the default target when null.
+         */
+        setTarget(selector) {
+            this.targetSelector = selector || null;
+            if (!this.elements) return this;
+
+            const externalTarget = determineTargetElement(this.rootElement, this.targetSelector);
+            this.elements.resultArea.innerHTML = getResultSectionHtml(externalTarget, this.id, this.config.labels);
+            this.resultImage = externalTarget || this.find('result-image');
+            return this;
+        }
+
+        /**
+         * Cancels any running try-on, stops the camera and removes the widget from the page.
+         */
+        destroy() {
+            this.cancel();
+            this.closeCamera();
+            this.destroyed = true;
+            if (this.garmentObserver) this.garmentObserver.disconnect();
+            this.garmentObserver = null;
+            if (this.stopWatchingReadiness) this.stopWatchingReadiness();
+            this.stopWatchingReadiness = null;
+            if (this.host) this.host.remove();
+            this.host = null;
+            this.shadow = null;
+            this.elements = null;
+            this.resultImage = null;
+            if (instances.get(this.rootElement) === this) instances.delete(this.rootElement);
+        }
+    }
+
+
+    /**
+     * Creates a widget instance for a container, replacing any widget already in it.
+     * Rendering waits for DOMContentLoaded while the page is still loading.
+     */
+    function createWidget(rootElement, options) {
+        const existing = instances.get(rootElement);
+        if (existing) existing.destroy();
+
+        const widget = new TryOnWidget(rootElement, options);
+        instances.set(rootElement, widget);
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => widget.mount());
+        } else {
+            widget.mount();
+        }
+        return widget;
     }
     
     // ------------------------------------------------------------------
@@ -326,50 +2094,105 @@
     // ------------------------------------------------------------------
     window.VTON = {
         /**
-         * Method 1: Initializes the interactive widget and sets the external target.
+         * Method 1: Initializes an interactive widget and returns its instance handle.
+         * Options: root (container ID or element), target (result <img> selector), apiKey (merchant key),
+         * locale ('en', 'es', 'fr', 'de', 'hi' or one added with VTON.addMessages; defaults to data-locale,
+         * then the browser language), messages (overrides keyed by catalog entry or error code),
+         * onError(error) where error.code is a VTON_* code (and error.requestId the server's request ID), layout ('inline' | 'compact' | 'floating'),
+         * theme ({ primaryColor, primaryTextColor, textColor, backgroundColor, radius, font }),
+         * labels (see LABEL_NAMES), camera (false hides "Use camera"), cameraCountdown (seconds, default 3)
+         * and photo preparation: maxImageDimension, imageFormat, imageQuality, frameImages (see IMAGE_DEFAULTS).
+         * rememberPhoto (false hides the "remember my photo" box) and rememberPhotoDays (default 30).
+         * garment (image URL, product <img> element, { src } or { selector }; like data-garment-src /
+         * data-garment-selector) takes the garment from the page and hides its upload; rerunOnGarmentChange
+         * (default true) regenerates a shown result when the garment changes.
+         * checkReadiness (default true; data-check-readiness="false") shows "warming up" while the AI backend starts.
+         * The handle has destroy(), reset(), setTarget(selector), setGarment(source), forgetPhoto(), and
+         * open()/close() for the floating layout. Calling init again for the same root replaces the widget in it.
          */
-        init: (options) => {
-             if (options && options.target) {
-                globalTargetSelector = options.target; 
+        init: (options = {}) => {
+            // apiKey, locale and messages also become the defaults for VTON.process
+            if (options.apiKey) {
+                pageDefaults.apiKey = options.apiKey;
             }
-            
-            const rootId = options && options.root ? options.root : 'vton';
-            const rootElement = document.getElementById(rootId);
-            
-            if (rootElement) {
-                // Temporarily ensure the initialization targets the correct custom root ID
-                if (document.readyState === 'loading') {
-                    document.addEventListener('DOMContentLoaded', initializeWidget);
-                } else {
-                    initializeWidget();
-                }
-            } else {
-                if (options && options.root) {
-                    console.error(`VTON.init() Error: Root element with ID '${options.root}' not found.`);
-                }
+            if (options.locale) {
+                pageDefaults.locale = options.locale;
+            }
+            if (options.messages) {
+                pageDefaults.messages = Object.assign({}, pageDefaults.messages, options.messages);
             }
+
+            const rootElement = options.root instanceof HTMLElement
+                ? options.root
+                : document.getElementById(options.root || 'vton');
+
+            if (!rootElement) {
+                console.error(`VTON.init() Error: Root element with ID '${options.root || 'vton'}' not found.`);
+                return null;
+            }
+
+            return createWidget(rootElement, options);
+        },
+
+        /**
+         * Adds or extends a message catalog, e.g. VTON.addMessages('ar', { title: '...' }).
+         * Entries missing from a new locale fall back to English; Arabic, Persian, Hebrew
+         * and Urdu render right to left. Affects widgets initialized afterwards.
+         */
+        addMessages: (locale, messages) => {
+            CATALOGS[locale] = Object.assign({}, CATALOGS[locale], messages);
+        },
+
+        /**
+         * Asks the API whether try-ons work yet. Returns a Promise of { status, ready, retryAfter }
+         * where status is 'ready', 'warming_up' or 'unavailable' (retryAfter in seconds).
+         */
+        checkReadiness: () => fetchReadiness(),
+
+        /**
+         * Deletes the shopper's saved photo ("remember my photo") and clears it from every widget.
+         * Returns a Promise. Useful for a privacy or account page.
+         */
+        forgetPhoto: () => {
+            return forgetSavedPhoto()
+                .catch((error) => {
+                    console.warn('VTON.forgetPhoto() Error:', error && error.message);
+                })
+                .then(() => instances.forEach((widget) => widget.clearSavedPhoto()));
         },
 
         /**
          * Method 4: Programmatically triggers try-on using image URLs.
          * The 'options.target' selector is used as the unique process ID
          * to manage its dedicated floating status message.
+         * Optional generation parameters: garmentDescription, garmentCategory
+         * ('upper' | 'lower' | 'dress'; the default gradio backend supports 'upper' only),
+         * autoCrop, denoiseSteps (20-40), seed.
+         * locale and messages work as in VTON.init (defaulting to the last VTON.init's); both images
+         * are prepared with maxImageDimension, imageFormat, imageQuality and frameImages.
+         * Without personImageUrl the shopper's saved photo ("remember my photo") is used. Images the browser
+         * cannot fetch (no CORS) are fetched by the API instead, from the API key's allowedImageHosts.
+         * Callbacks: onStart(), onComplete(resultUrl), onError(error) with error.code set
+         * to a VTON_* code when the failure came from the server, and error.requestId to quote to support.
          */
         process: async (options) => {
-            if (!options || !options.personImageUrl || !options.garmentImageUrl || !options.target) {
-                console.error("VTON.process() Error: Missing required options (personImageUrl, garmentImageUrl, target).");
+            if (!options || !options.garmentImageUrl || !options.target) {
+                console.error("VTON.process() Error: Missing required options (garmentImageUrl, target).");
                 // Use a generic status ID if target is missing for a quick error message
-                showStatus('process-error', 'VTON.process() Error: Missing image URLs or target selector.', 'status-error', true); 
+                showStatus('process-error', 'VTON.process() Error: Missing image URLs or target selector.', 'status-error'); 
                 return;
             }
             
             // Use the target selector (e.g., '#try-on-result-4') as the unique process ID
             const processId = options.target.replace('#', '');
+            const locale = resolveLocale(options.locale || pageDefaults.locale);
+            const messages = resolveMessages(locale, Object.assign({}, pageDefaults.messages, options.messages));
+            const statusUpdater = (message, className, progress) => showStatus(processId, message, className, progress);
             
             const targetElement = document.querySelector(options.target);
             if (!targetElement || targetElement.tagName !== 'IMG') {
                 console.error(`VTON.process() Error: Target element '${options.target}' not found or is not an <img>.`);
-                showStatus(processId, `VTON.process() Error: Target image not found.`, 'status-error', true);
+                statusUpdater(`VTON.process() Error: Target image not found.`, 'status-error');
                 return;
             }
             
@@ -378,21 +2201,43 @@
 
             try {
                 // 1. Fetch URLs and convert to Base64 in parallel
-                showStatus(processId, "Fetching images and converting to data...", 'status-info', true);
+                statusUpdater(messages.fetchingImages, 'status-info');
+
+                const imageOptions = readImageOptions(options);
+                const savedPhoto = options.personImageUrl ? null : await loadSavedPhoto();
+                if (!options.personImageUrl && !savedPhoto) {
+                    console.error("VTON.process() Error: No personImageUrl and no saved photo.");
+                    statusUpdater(messages.missingImages, 'status-error');
+                    if (options.onError) options.onError(createTryOnError('VTON_INVALID_REQUEST', { message: 'No person photo.' }));
+                    return;
+                }
 
-                const [personImageBase64, garmentImageBase64] = await Promise.all([
-                    urlToBase64(options.personImageUrl),
-                    urlToBase64(options.garmentImageUrl)
-                ]);
+                const [personImage, garmentImage] = await Promise.all([
+                    // The saved photo was prepared when it was taken
+                    savedPhoto
+                        ? fileToBase64(savedPhoto)
+                        : urlToBase64(options.personImageUrl, imageOptions).catch((error) => remoteImage(options.personImageUrl, error)),
+                    urlToBase64(options.garmentImageUrl, imageOptions).catch((error) => remoteImage(options.garmentImageUrl, error))
+                ]).catch((error) => {
+                    // processTryOn reports its own errors; coded ones here come from preparing the images
+                    if (error.code) statusUpdater(errorMessageFor(error, messages), 'status-error');
+                    throw error;
+                });
 
                 // 2. Call the core processing function
                 const resultUrl = await processTryOn(
                     processId, 
-                    personImageBase64, 
-                    garmentImageBase64, 
+                    personImage, 
+                    garmentImage, 
                     targetElement, 
-                    true, // isHeadless = true
-                    null // generateButton = null
+                    statusUpdater,
+                    null, // generateButton = null
+                    {
+                        params: pickParams(options),
+                        apiKey: options.apiKey || pageDefaults.apiKey,
+                        locale,
+                        messages
+                    }
                 );
                 
                 if (options.onComplete) options.onComplete(resultUrl);
@@ -400,7 +2245,9 @@
             } catch (error) {
                 console.error("VTON.process() Initialization Error:", error);
                 // Status is already handled by processTryOn, but add a final check
-                showStatus(processId, `VTON.process() Failed: Check console for details.`, 'status-error', true);
+                if (!error.code) {
+                    statusUpdater(`VTON.process() Failed: Check console for details.`, 'status-error');
+                }
                 if (options.onError) options.onError(error);
             }
         }
@@ -409,12 +2256,19 @@
     // ------------------------------------------------------------------
     // DEFAULT INITIALIZATION (Method 2 & 3 checks run here)
     // ------------------------------------------------------------------
-    // If the default container ID "vton" exists, initialize the widget automatically.
-    if (document.getElementById("vton")) {
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', initializeWidget);
-        } else {
-            initializeWidget();
+    // If the default container ("vton", or the script tag's data-root-id) exists and
+    // VTON.init has not claimed it, initialize the widget automatically.
+    function autoInitialize() {
+        const rootId = (currentScript && currentScript.getAttribute('data-root-id')) || 'vton';
+        const rootElement = document.getElementById(rootId);
+        if (rootElement && !instances.has(rootElement)) {
+            createWidget(rootElement, {});
         }
     }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', autoInitialize);
+    } else {
+        autoInitialize();
+    }
 })();
@@ -0,0 +1,79 @@
+// routes/admin.js
+import express from "express";
+import { timingSafeEqual } from "crypto";
+import { getApiKeyStore } from "../services/ApiKeyStore.js";
+import requestId from "../middleware/requestId.js";
+
+const router = express.Router();
+
+/**
+ * Admin routes require "Authorization: Bearer <VTON_ADMIN_TOKEN>".
+ * They are disabled entirely when VTON_ADMIN_TOKEN is not set.
+ */
+const requireAdmin = (req, res, next) => {
+  const adminToken = process.env.VTON_ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(404).json({ status: "error", message: "Admin API is disabled. Set VTON_ADMIN_TOKEN to enable it." });
+  }
+
+  const presented = Buffer.from((req.get("Authorization") || "").replace(/^Bearer\s+/i, ""));
+  const expected = Buffer.from(adminToken);
+  if (presented.length !== expected.length || !timingSafeEqual(presented, expected)) {
+    return res.status(401).json({ status: "error", message: "Invalid admin token." });
+  }
+
+  next();
+};
+
+router.use(requestId(), requireAdmin);
+
+/**
+ * GET /api/admin/keys
+ * List all merchant API keys
+ */
+router.get("/keys", (req, res) => {
+  res.json({ status: "success", keys: getApiKeyStore().list() });
+});
+
+/**
+ * POST /api/admin/keys
+ * Create a key. Expects: { name, allowedOrigins?: string[] | "a,b", allowedImageHosts?: string[] | "a,b",
+ *   enabled?: boolean, rateLimitPerMinute?: number, dailyQuota?: number }
+ * Browsers can use the key only from allowedOrigins; without any, only server-to-server calls work.
+ */
+router.post("/keys", (req, res) => {
+  try {
+    const record = getApiKeyStore().create(req.body || {});
+    req.log.info(`[VTON Admin] Created API key for "${record.name}"`);
+    res.status(201).json({ status: "success", key: record });
+  } catch (err) {
+    res.status(400).json({ status: "error", message: err.message });
+  }
+});
+
+/**
+ * PATCH /api/admin/keys/:key
+ * Update name, allowedOrigins, allowedImageHosts, enabled, rateLimitPerMinute or dailyQuota
+ */
+router.patch("/keys/:key", (req, res) => {
+  const record = getApiKeyStore().update(req.params.key, req.body || {});
+  if (!record) {
+    return res.status(404).json({ status: "error", message: "API key not found." });
+  }
+  req.log.info(`[VTON Admin] Updated API key for "${record.name}"`);
+  res.json({ status: "success", key: record });
+});
+
+/**
+ * DELETE /api/admin/keys/:key
+ * Permanently remove a key (use PATCH { enabled: false } to suspend instead)
+ */
+router.delete("/keys/:key", (req, res) => {
+  if (!getApiKeyStore().remove(req.params.key)) {
+    return res.status(404).json({ status: "error", message: "API key not found." });
+  }
+  req.log.info("[VTON Admin] Deleted an API key");
+  res.json({ status: "success" });
+});
+
+export default router;
@@ -1,99 +1,765 @@
 // routes/virtualTryOn.js
 import express from "express";
-import VirtualTryOnService from "../services/VirtualTryOnService.js";
+import multer from "multer";
+import { tryOnServiceFromEnv } from "../services/VirtualTryOnService.js";
+import { validateTryOnParams } from "../services/tryOnParams.js";
+import { imageProcessorFromEnv, ImageValidationError } from "../services/ImageProcessor.js";
+import { imageFetcherFromEnv } from "../services/ImageFetcher.js";
+import TryOnError, { ERROR_CODES, sendError, toErrorResponse } from "../services/TryOnError.js";
+import { negotiateLocale } from "../services/i18n.js";
+import TryOnJobQueue, { JOB_STATUS, QueueFullError } from "../services/TryOnJobQueue.js";
+import TryOnBatchManager from "../services/TryOnBatchManager.js";
+import { healthMonitorFromEnv, READINESS } from "../services/HealthMonitor.js";
+import { resultStoreFromEnv } from "../services/ResultStore.js";
+import { validateBatchRequest } from "../services/batchRequest.js";
+import { getTryOnMetrics, merchantLabel, secondsSince } from "../services/tryOnMetrics.js";
+import { getLogger } from "../services/Logger.js";
+import apiKeyAuth from "../middleware/apiKeyAuth.js";
+import requestId from "../middleware/requestId.js";
+import rateLimit from "../middleware/rateLimit.js";
 
 const router = express.Router();
 
 let tryOnService = null;
+let jobQueue = null;
+let imageProcessor = null;
+let imageFetcher = null;
+let batchManager = null;
+let healthMonitor = null;
+let resultStore; // null once created means result hosting is disabled
 
 const getTryOnService = () => {
   if (!tryOnService) {
-    console.log("[VTON Route] Initializing VirtualTryOnService with HF_TOKEN:", process.env.HF_TOKEN ? "****" : "NOT SET");
-    tryOnService = new VirtualTryOnService({
-      hfToken: process.env.HF_TOKEN,
-      timeout: 180000,
-      retryAttempts: 2,
+    tryOnService = tryOnServiceFromEnv(process.env, {
+      metrics: getTryOnMetrics(),
+      logger: getLogger(),
+      resultStore: getResultStore(),
+    });
+    getLogger().info(`[VTON Route] Initialized VirtualTryOnService with provider "${tryOnService.provider.name}"`, {
+      hfTokenConfigured: !!process.env.HF_TOKEN,
     });
   }
   return tryOnService;
 };
 
+const getImageProcessor = () => {
+  if (!imageProcessor) {
+    imageProcessor = imageProcessorFromEnv();
+  }
+  return imageProcessor;
+};
+
+const getImageFetcher = () => {
+  if (!imageFetcher) {
+    imageFetcher = imageFetcherFromEnv();
+  }
+  return imageFetcher;
+};
+
+const getJobQueue = () => {
+  if (!jobQueue) {
+    jobQueue = new TryOnJobQueue({
+      concurrency: parseInt(process.env.VTON_MAX_CONCURRENCY, 10) || 1,
+      jobTtl: parseInt(process.env.VTON_JOB_TTL_MS, 10) || undefined,
+      maxPending: parseInt(process.env.VTON_MAX_QUEUE, 10) || undefined,
+      logger: getLogger(),
+    });
+  }
+  return jobQueue;
+};
+
+const getHealthMonitor = () => {
+  if (!healthMonitor) {
+    healthMonitor = healthMonitorFromEnv(getTryOnService(), getJobQueue(), process.env, { logger: getLogger() }).start();
+  }
+  return healthMonitor;
+};
+
+const getResultStore = () => {
+  if (resultStore === undefined) {
+    resultStore = resultStoreFromEnv(process.env, { logger: getLogger() });
+  }
+  return resultStore;
+};
+
+const getBatchManager = () => {
+  if (!batchManager) {
+    batchManager = new TryOnBatchManager({
+      batchTtl: parseInt(process.env.VTON_BATCH_TTL_MS, 10) || undefined,
+      logger: getLogger(),
+    });
+  }
+  return batchManager;
+};
+
+/**
+ * Count every request by route, status and error code once the response is sent
+ */
+const countRequests = (req, res, next) => {
+  res.locals.startedAt = process.hrtime.bigint();
+  res.on("finish", () => {
+    getTryOnMetrics().httpRequests.inc({
+      route: req.route ? req.route.path : "unmatched",
+      method: req.method,
+      status: res.statusCode,
+      code: res.locals.errorCode || "none",
+      merchant: merchantLabel(req.merchant),
+    });
+  });
+  next();
+};
+
+router.use(requestId(), countRequests);
+
+// One limiter for every try-on endpoint, so batches and single try-ons share limits.
+// A batch counts each of its items against the key's daily quota (req.tryOnCount).
+const tryOnRateLimit = rateLimit({ cost: (req) => req.tryOnCount || 1 });
+
+// --- Multipart uploads ---
+
+const ALLOWED_UPLOAD_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.VTON_MAX_UPLOAD_BYTES, 10) || 10 * 1024 * 1024; // per file
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_BYTES,
+    files: 2,
+  },
+  fileFilter: (req, file, callback) => {
+    if (!ALLOWED_UPLOAD_TYPES.includes(file.mimetype)) {
+      return callback(new ImageValidationError("upload.unsupportedType", { type: file.mimetype, label: file.fieldname }, 415));
+    }
+    callback(null, true);
+  },
+}).fields([
+  { name: "person", maxCount: 1 },
+  { name: "garment", maxCount: 1 },
+]);
+
+/**
+ * Parse multipart person/garment files (no-op for JSON bodies) and report upload errors as JSON
+ */
+const parseUploads = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) return next();
+
+    req.log.warn(`[VTON Route] Upload rejected: ${err.message}`);
+
+    if (err instanceof TryOnError) return sendError(res, err);
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return sendError(res, new TryOnError(ERROR_CODES.PAYLOAD_TOO_LARGE, null, {
+        messageKey: "upload.tooLarge",
+        messageParams: { label: err.field, limit: Math.round(MAX_UPLOAD_BYTES / (1024 * 1024)) },
+      }));
+    }
+    // Other multer errors: unexpected field, too many files, malformed body
+    sendError(res, new TryOnError(ERROR_CODES.INVALID_REQUEST, err.message));
+  });
+};
+
+/**
+ * Download (for URLs), validate and normalize one image. Resolves with base64 JPEG;
+ * rejects with a TryOnError for images the backend should never see.
+ * @param {{ source: string, value: Buffer | string }} input - source is "multipart", "base64" or "URL"
+ * @param {string} label - "person" or "garment"
+ * @param {object|null} merchant - req.merchant; images by URL must be on its allowedImageHosts
+ */
+const prepareImage = async ({ source, value }, label, merchant) => {
+  let buffer;
+  if (source === "URL") {
+    buffer = await getImageFetcher().fetch(value, { allowedHosts: merchant ? merchant.allowedImageHosts : [], label });
+  } else {
+    buffer = Buffer.isBuffer(value) ? value : getTryOnService().base64ToBuffer(value);
+  }
+  getTryOnMetrics().imageBytes.observe({ image: label, merchant: merchantLabel(merchant) }, buffer.length);
+  const normalized = await getImageProcessor().normalize(buffer, label);
+  return normalized.toString("base64");
+};
+
+/**
+ * Queue a try-on for a request, counting it as in flight until it finishes and then by
+ * outcome. The job keeps the request's ID and logs with its logger.
+ * With a cachedResult (see VirtualTryOnService.cachedResult) the job just returns it,
+ * skipping the queue so it is not stuck behind long-running jobs; `task` runs only on a miss.
+ * Throws QueueFullError when the queue has no room.
+ */
+const submitTryOn = (req, task, { cachedResult = null } = {}) => {
+  const metrics = getTryOnMetrics();
+  const queue = getJobQueue();
+  const merchant = merchantLabel(req.merchant);
+  const job = cachedResult
+    ? queue.submit(async () => cachedResult, { immediate: true, requestId: req.id, logger: req.log })
+    : queue.submit(task, { requestId: req.id, logger: req.log });
+
+  metrics.tryOnsInFlight.inc({ merchant });
+  queue.waitFor(job.id)
+    .then((finished) => {
+      if (finished.status === JOB_STATUS.FAILED) {
+        metrics.tryOns.inc({ outcome: "failed", code: toErrorResponse(finished.error).body.code, merchant });
+      } else {
+        metrics.tryOns.inc({ outcome: finished.result.cached ? "cached" : "succeeded", code: "none", merchant });
+      }
+    })
+    .catch(() => {})
+    .finally(() => metrics.tryOnsInFlight.dec({ merchant }));
+
+  return job;
+};
+
+/**
+ * Prometheus text for GET /metrics
+ */
+export const renderMetrics = () => {
+  const metrics = getTryOnMetrics();
+  metrics.watch(getJobQueue(), getTryOnService());
+  return metrics.registry.render();
+};
+
+/**
+ * Readiness summary for /api/health: { status, reason, retryAfter }
+ */
+export const getReadiness = () => getHealthMonitor().readiness();
+
+/**
+ * Cache hit/miss counters for /api/health (null when caching is disabled)
+ */
+export const getCacheStats = () => {
+  const { cache } = getTryOnService();
+  return cache ? cache.stats() : null;
+};
+
+/**
+ * Absolute URL of this API, so links in responses work wherever they are shared:
+ * RENDER_EXTERNAL_URL or API_URL when set, else the request's own scheme and host
+ * (which honour TRUST_PROXY)
+ */
+const publicApiUrl = (req) => {
+  const origin = process.env.RENDER_EXTERNAL_URL || process.env.API_URL || `${req.protocol}://${req.get("host")}`;
+  return `${origin.replace(/\/+$/, "")}${req.baseUrl}`;
+};
+
+/**
+ * Result image fields for a response: a signed imageUrl when the image is hosted, else the
+ * image itself as processed_image_base64
+ */
+const resultImageFields = (result, req) => {
+  const store = getResultStore();
+  if (store && result.resultId) {
+    const { url, expiresAt } = store.signedUrl(result.resultId, `${publicApiUrl(req)}/results`);
+    return { imageUrl: url, imageUrlExpiresAt: expiresAt };
+  }
+  return { processed_image_base64: result.processedImage };
+};
+
+/**
+ * Add processed_image_base64 for a hosted result when the client asked with ?format=base64,
+ * reading it back from the result store (left out once the stored image has expired)
+ */
+const addInlineImage = async (body, result, req) => {
+  if (req.query.format !== "base64" || body.processed_image_base64 || !result.resultId) return body;
+  const stored = await getResultStore().load(result.resultId);
+  if (stored) body.processed_image_base64 = stored.buffer.toString("base64");
+  return body;
+};
+
+/**
+ * Shape a job for the polling and streaming endpoints; a failed job's message is in `locale`
+ */
+const toJobResponse = (job, locale, req) => {
+  const body = {
+    status: "success",
+    jobId: job.id,
+    jobStatus: job.status,
+    requestId: job.requestId,
+    position: job.position,
+    progress: job.progress,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    timestamp: new Date().toISOString(),
+  };
+
+  if (job.status === JOB_STATUS.SUCCEEDED) {
+    Object.assign(body, resultImageFields(job.result, req));
+    body.cached = !!job.result.cached;
+  } else if (job.status === JOB_STATUS.FAILED) {
+    const { statusCode, body: errorBody } = toErrorResponse(job.error, locale);
+    body.error = {
+      statusCode,
+      code: errorBody.code,
+      message: errorBody.message,
+      errorDetails: errorBody.errorDetails || job.error.message,
+      requestId: job.requestId,
+    };
+  }
+
+  return body;
+};
+
+const isFinished = (job) => job.status === JOB_STATUS.SUCCEEDED || job.status === JOB_STATUS.FAILED;
+
 // --- API Endpoints ---
 
 /**
  * POST /api/virtual-tryon/process
- * Main endpoint: Process virtual try-on image
- * Expects: { personImageBase64, garmentImageBase64 }
+ * Main endpoint: Queue a virtual try-on job
+ * Expects JSON: { personImageBase64, garmentImageBase64 }
+ *      or multipart/form-data: "person" and "garment" files
+ * Either image may instead be given as personImageUrl / garmentImageUrl; the server downloads it
+ * when the host is on the merchant's allowedImageHosts (or VTON_IMAGE_URL_HOSTS), see ImageFetcher.
+ * Generation parameters may be JSON fields or form fields.
+ * Merchant API key: X-API-Key header (required when VTON_REQUIRE_API_KEY=true).
+ * Rate limited per IP and per key; 429 responses carry Retry-After, as do 503s when
+ * VTON_MAX_QUEUE try-ons are already waiting.
+ * Optional: { garmentDescription, garmentCategory: "upper"|"lower"|"dress", autoCrop, denoiseSteps, seed }
+ * (garmentCategory is limited to what the backend supports; the gradio provider dresses upper only)
+ * Invalid parameters get a 400 whose `errors` array lists each problem.
+ * Returns 202 with a job ID; poll GET /jobs/:id for the result.
  */
-router.post("/process", async (req, res) => {
+router.post("/process", apiKeyAuth(), tryOnRateLimit, parseUploads, async (req, res) => {
   try {
-    // UPDATED: Expect two base64 strings
-    const { personImageBase64, garmentImageBase64 } = req.body;
+    // Uploaded files take precedence over base64 fields, which take precedence over URLs
+    const files = req.files || {};
+    const imageInput = (name) => {
+      if (files[name]) return { source: "multipart", value: files[name][0].buffer };
+      if (req.body[`${name}ImageBase64`]) return { source: "base64", value: req.body[`${name}ImageBase64`] };
+      if (req.body[`${name}ImageUrl`]) return { source: "URL", value: String(req.body[`${name}ImageUrl`]) };
+      return null;
+    };
+    const personInput = imageInput("person");
+    const garmentInput = imageInput("garment");
 
-    console.log("[VTON Route] Processing virtual try-on with two uploaded images.");
+    if (!personInput || !garmentInput) {
+      return sendError(res, new TryOnError(ERROR_CODES.INVALID_REQUEST, null, { messageKey: "request.missingImages" }));
+    }
 
-    if (!personImageBase64 || !garmentImageBase64) {
-      return res.status(400).json({
-        status: "error",
-        message: "Both personImageBase64 (Your Photo) and garmentImageBase64 (Cloth Photo) are required.",
+    const { params, errors } = validateTryOnParams(req.body, { garmentCategories: getTryOnService().garmentCategories() });
+    if (errors.length > 0) {
+      // The message is translated; the per-field problems are listed in English for the developer
+      return sendError(res, new TryOnError(ERROR_CODES.INVALID_REQUEST, null, { messageKey: "request.invalidParams" }), {
+        errors,
       });
     }
 
-    // Basic size validation
-    if (personImageBase64.length < 100 || garmentImageBase64.length < 100) {
-        return res.status(400).json({
-            status: "error",
-            message: "One or both image files are invalid or too small to process.",
-        });
-    }
+    const service = getTryOnService();
+    const merchant = merchantLabel(req.merchant);
 
-    console.log("[VTON Route] Calling VirtualTryOnService...");
+    // Reject bad images here, before they take a queue slot or reach the backend
+    let personImageBase64;
+    let garmentImageBase64;
+    try {
+      [personImageBase64, garmentImageBase64] = await Promise.all([
+        prepareImage(personInput, "person", req.merchant),
+        prepareImage(garmentInput, "garment", req.merchant),
+      ]);
+      getTryOnMetrics().uploadSeconds.observe({ merchant }, secondsSince(res.locals.startedAt));
+    } catch (err) {
+      if (err instanceof TryOnError) {
+        req.log.warn(`[VTON Route] Image rejected: ${err.message}`, { code: err.code });
+        return sendError(res, err);
+      }
+      throw err;
+    }
 
-    const service = getTryOnService();
-    // Pass both Base64 strings to the service
-    const result = await service.processImage(
-      personImageBase64,
-      garmentImageBase64
+    const cachedResult = await service.cachedResult(personImageBase64, garmentImageBase64, { params, logger: req.log });
+    const cached = !!cachedResult;
+    // The service call runs in the background; the request returns immediately
+    const job = submitTryOn(
+      req,
+      (reportProgress) =>
+        service.processImage(personImageBase64, garmentImageBase64, {
+          params,
+          onProgress: reportProgress,
+          merchant,
+          logger: req.log,
+        }),
+      { cachedResult }
     );
 
-    res.json({
-      status: "success",
-      processed_image_base64: result.processedImage,
+    const sources = [...new Set([personInput.source, garmentInput.source])];
+    req.log.info(`[VTON Route] Queued virtual try-on ${job.id} (${sources.join(" + ")}${req.merchant ? `, merchant "${req.merchant.name}"` : ""}).`, {
+      merchant,
+      cached,
+    });
+
+    res.status(202).json({
+      status: "accepted",
+      jobId: job.id,
+      jobStatus: job.status,
+      requestId: req.id,
+      position: job.position,
+      statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+      streamUrl: `${req.baseUrl}/jobs/${job.id}/stream`,
       timestamp: new Date().toISOString(),
     });
   } catch (err) {
-    console.error("[VTON Route] Virtual try-on error:", err.message);
-
-    // Translate errors from VirtualTryOnService
-    let statusCode = 500;
-    let errorMessage = "Failed to process image. An internal error occurred.";
-
-    if (err.message.includes("timed out") || err.message.includes("asleep")) {
-      statusCode = 504;
-      errorMessage = "Processing timed out. The AI service may be overloaded or asleep. Please try again.";
-    } else if (err.message.includes("Authentication failed")) {
-      statusCode = 401;
-      errorMessage = "Authentication failed. Check HF_TOKEN environment variable.";
-    } else if (err.message.includes("AI service connection failed")) {
-      statusCode = 503;
-      errorMessage = "AI service is unavailable or inaccessible. Please try again later.";
+    if (err instanceof QueueFullError) {
+      req.log.warn(`[VTON Route] Try-on queue is full; retry in ${err.retryAfter}s`);
+      res.set("Retry-After", String(err.retryAfter));
+      return sendError(res, err, { retryAfter: err.retryAfter });
+    }
+    req.log.error("[VTON Route] Failed to queue virtual try-on", err);
+    sendError(res, new TryOnError(ERROR_CODES.INTERNAL, null, { messageKey: "request.queueFailed", details: err.message }));
+  }
+});
+
+/**
+ * GET /api/virtual-tryon/jobs/:id
+ * Poll a try-on job: queued, running, succeeded (with the image) or failed (with the error).
+ * A succeeded job links its image as imageUrl (signed, see GET /results/:id); add
+ * ?format=base64 to also get processed_image_base64. Without a result store, only base64.
+ */
+router.get("/jobs/:id", async (req, res) => {
+  const job = getJobQueue().get(req.params.id);
+
+  if (!job) {
+    return sendError(res, new TryOnError(ERROR_CODES.JOB_NOT_FOUND));
+  }
+
+  try {
+    const body = toJobResponse(job, negotiateLocale(req), req);
+    if (job.status === JOB_STATUS.SUCCEEDED) await addInlineImage(body, job.result, req);
+    res.vary("Accept-Language");
+    res.json(body);
+  } catch (err) {
+    req.log.error(`[VTON Route] Failed to load the result of job ${job.id}`, err);
+    sendError(res, new TryOnError(ERROR_CODES.INTERNAL, null, { details: err.message }));
+  }
+});
+
+/**
+ * GET /api/virtual-tryon/jobs/:id/stream
+ * Server-Sent Events stream of a job's progress.
+ * Sends "progress" events (queue position, ETA, retries) and a final "done" event.
+ */
+router.get("/jobs/:id/stream", (req, res) => {
+  const queue = getJobQueue();
+  const job = queue.get(req.params.id);
+
+  if (!job) {
+    return sendError(res, new TryOnError(ERROR_CODES.JOB_NOT_FOUND));
+  }
+
+  const locale = negotiateLocale(req);
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable proxy buffering (nginx)
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Comment lines keep idle proxies from closing the connection
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), 15000);
+
+  const close = () => {
+    clearInterval(heartbeat);
+    queue.off("update", onUpdate);
+    res.end();
+  };
+
+  const onUpdate = (update) => {
+    if (update.id !== job.id) return;
+    if (isFinished(update)) {
+      send("done", toJobResponse(update, locale, req));
+      close();
+    } else {
+      send("progress", toJobResponse(update, locale, req));
+    }
+  };
+
+  req.on("close", close);
+
+  if (isFinished(job)) {
+    send("done", toJobResponse(job, locale, req));
+    return close();
+  }
+
+  send("progress", toJobResponse(job, locale, req));
+  queue.on("update", onUpdate);
+});
+
+// --- Batches ---
+
+/**
+ * Validate a batch body into req.batch and set req.tryOnCount for the rate limiter.
+ * Limits come from VTON_BATCH_MAX_ITEMS and VTON_BATCH_MAX_CONCURRENCY, read per request.
+ * An invalid body gets a 400 whose `errors` array lists each problem.
+ */
+const parseBatch = (req, res, next) => {
+  const batch = validateBatchRequest(req.body, {
+    maxItems: parseInt(process.env.VTON_BATCH_MAX_ITEMS, 10) || 100,
+    maxConcurrency: parseInt(process.env.VTON_BATCH_MAX_CONCURRENCY, 10) || 2,
+    garmentCategories: getTryOnService().garmentCategories(),
+  });
+  if (batch.errors.length > 0) {
+    return sendError(res, new TryOnError(ERROR_CODES.INVALID_REQUEST, null, { messageKey: "request.invalidBatch" }), {
+      errors: batch.errors,
+    });
+  }
+  req.batch = batch;
+  req.tryOnCount = batch.items.length;
+  next();
+};
+
+/**
+ * The caller's batch, or null (batches are only visible to the key that created them)
+ */
+const findBatch = (req) => {
+  const batch = getBatchManager().get(req.params.id);
+  return batch && batch.owner === req.merchant.key ? batch : null;
+};
+
+/**
+ * Shape a batch item; a failed item's message is in `locale`
+ */
+const toBatchItemResponse = (item, batchUrl, locale) => {
+  const body = {
+    index: item.index,
+    personId: item.input.personId,
+    garmentId: item.input.garmentId,
+    itemStatus: item.status,
+    jobId: item.jobId,
+    startedAt: item.startedAt,
+    finishedAt: item.finishedAt,
+  };
+
+  if (item.status === JOB_STATUS.SUCCEEDED) {
+    body.resultUrl = `${batchUrl}/items/${item.index}`;
+  } else if (item.status === JOB_STATUS.FAILED) {
+    const { statusCode, body: errorBody } = toErrorResponse(item.error, locale);
+    body.error = { statusCode, code: errorBody.code, message: errorBody.message };
+  }
+
+  return body;
+};
+
+/**
+ * POST /api/virtual-tryon/batch
+ * Queue try-ons for every person x garment pair, e.g. one model photo across a catalog.
+ * Expects JSON: { person: image, garments: [image, ...] } or { persons: [...], garments: [...] },
+ * where an image is a URL string or { id?, imageUrl | imageBase64 }; garments may also set
+ * their own garmentDescription, garmentCategory, autoCrop, denoiseSteps or seed.
+ * Optional: batch-wide generation parameters and concurrency (items in flight, at most
+ * VTON_BATCH_MAX_CONCURRENCY). At most VTON_BATCH_MAX_ITEMS pairs per batch.
+ * Requires a merchant API key; each item counts against the key's daily quota.
+ * Returns 202 with a batch ID; poll GET /batch/:id. Failed items do not stop the others.
+ */
+router.post("/batch", apiKeyAuth({ required: true }), parseBatch, tryOnRateLimit, (req, res) => {
+  const { persons, garments, items, concurrency } = req.batch;
+  const service = getTryOnService();
+  const queue = getJobQueue();
+  const merchant = merchantLabel(req.merchant);
+
+  // Each distinct image is downloaded and normalized once, however many items use it
+  const preparedImages = new Map();
+  const prepareEntry = (label, entry) => {
+    if (!preparedImages.has(entry)) {
+      const input = entry.imageBase64
+        ? { source: "base64", value: entry.imageBase64 }
+        : { source: "URL", value: String(entry.imageUrl) };
+      preparedImages.set(entry, prepareImage(input, label, req.merchant));
+    }
+    return preparedImages.get(entry);
+  };
+
+  const runItem = async (item, reportJob) => {
+    const [personImageBase64, garmentImageBase64] = await Promise.all([
+      prepareEntry("person", persons[item.personIndex]),
+      prepareEntry("garment", garments[item.garmentIndex]),
+    ]);
+
+    const cachedResult = await service.cachedResult(personImageBase64, garmentImageBase64, {
+      params: item.params,
+      logger: req.log,
+    });
+    const job = submitTryOn(
+      req,
+      (reportProgress) =>
+        service.processImage(personImageBase64, garmentImageBase64, {
+          params: item.params,
+          onProgress: reportProgress,
+          merchant,
+          logger: req.log,
+        }),
+      { cachedResult }
+    );
+    reportJob(job.id);
+
+    const finished = await queue.waitFor(job.id);
+    if (finished.status === JOB_STATUS.FAILED) throw finished.error;
+    return finished.result;
+  };
+
+  const batch = getBatchManager().create(items, { runItem, concurrency, owner: req.merchant.key });
+  req.log.info(`[VTON Route] Queued batch ${batch.id}: ${persons.length} person(s) x ${garments.length} garment(s) for merchant "${req.merchant.name}".`);
+
+  res.status(202).json({
+    status: "accepted",
+    batchId: batch.id,
+    batchStatus: batch.status,
+    requestId: req.id,
+    total: batch.counts.total,
+    concurrency: batch.concurrency,
+    statusUrl: `${req.baseUrl}/batch/${batch.id}`,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * GET /api/virtual-tryon/batch/:id
+ * Batch progress: counts per status and each item's itemStatus, job ID, error or resultUrl
+ */
+router.get("/batch/:id", apiKeyAuth({ required: true }), (req, res) => {
+  const batch = findBatch(req);
+  if (!batch) {
+    return sendError(res, new TryOnError(ERROR_CODES.JOB_NOT_FOUND, null, { messageKey: "batch.notFound" }));
+  }
+
+  const locale = negotiateLocale(req);
+  const batchUrl = `${req.baseUrl}/batch/${batch.id}`;
+  res.vary("Accept-Language");
+  res.json({
+    status: "success",
+    batchId: batch.id,
+    batchStatus: batch.status,
+    requestId: req.id,
+    counts: batch.counts,
+    items: batch.items.map((item) => toBatchItemResponse(item, batchUrl, locale)),
+    createdAt: batch.createdAt,
+    updatedAt: batch.updatedAt,
+    finishedAt: batch.finishedAt,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * GET /api/virtual-tryon/batch/:id/items/:index
+ * One batch item, with its result image once it has succeeded (imageUrl and/or
+ * processed_image_base64, as for jobs)
+ */
+router.get("/batch/:id/items/:index", apiKeyAuth({ required: true }), async (req, res) => {
+  const batch = findBatch(req);
+  const item = batch && getBatchManager().getItem(batch.id, parseInt(req.params.index, 10));
+  if (!item) {
+    return sendError(res, new TryOnError(ERROR_CODES.JOB_NOT_FOUND, null, { messageKey: "batch.notFound" }));
+  }
+
+  const locale = negotiateLocale(req);
+  const body = { status: "success", batchId: batch.id, ...toBatchItemResponse(item, `${req.baseUrl}/batch/${batch.id}`, locale) };
+  try {
+    if (item.status === JOB_STATUS.SUCCEEDED) {
+      delete body.resultUrl;
+      Object.assign(body, resultImageFields(item.result, req));
+      await addInlineImage(body, item.result, req);
+      body.cached = !!item.result.cached;
+    }
+
+    res.vary("Accept-Language");
+    res.json(body);
+  } catch (err) {
+    req.log.error(`[VTON Route] Failed to load the result of batch ${batch.id} item ${item.index}`, err);
+    sendError(res, new TryOnError(ERROR_CODES.INTERNAL, null, { details: err.message }));
+  }
+});
+
+/**
+ * GET /api/virtual-tryon/results/:id?expires=...&signature=...
+ * A hosted result image, reached through the signed imageUrl of a job or batch item.
+ * No API key: the signature is the credential, so the link works in an <img> and can be
+ * shared until it expires.
+ */
+router.get("/results/:id", async (req, res) => {
+  const store = getResultStore();
+  const { id } = req.params;
+  if (!store || !store.verify(id, req.query.expires, req.query.signature)) {
+    return sendError(res, new TryOnError(ERROR_CODES.FORBIDDEN, null, { messageKey: "result.linkInvalid" }));
+  }
+
+  try {
+    const result = await store.load(id);
+    if (!result) {
+      return sendError(res, new TryOnError(ERROR_CODES.JOB_NOT_FOUND, null, { messageKey: "result.notFound" }));
     }
 
-    res.status(statusCode).json({ status: "error", message: errorMessage, errorDetails: err.message });
+    const maxAge = Math.max(0, Number(req.query.expires) - Math.floor(Date.now() / 1000));
+    res.set({
+      "Content-Type": result.contentType,
+      "Cache-Control": `private, max-age=${maxAge}`,
+      "X-Content-Type-Options": "nosniff",
+    });
+    res.send(result.buffer);
+  } catch (err) {
+    req.log.error(`[VTON Route] Failed to load result ${id}`, err);
+    sendError(res, new TryOnError(ERROR_CODES.INTERNAL, null, { details: err.message }));
   }
 });
 
+/**
+ * GET /api/virtual-tryon/health/live
+ * Liveness: the process is up and serving requests. Never touches the backend.
+ */
+router.get("/health/live", (req, res) => {
+  res.json({
+    status: "ok",
+    uptime: Math.round(process.uptime()),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * GET /api/virtual-tryon/health/ready
+ * Readiness: 200 once try-ons work, else 503 with Retry-After and status "warming_up"
+ * or "unavailable". Answered from recorded state, so the widget may poll it.
+ */
+router.get("/health/ready", (req, res) => {
+  const monitor = getHealthMonitor();
+  const { status, reason, retryAfter } = monitor.readiness();
+  const { pending, running } = getJobQueue().stats();
+  const ready = status === READINESS.READY;
+
+  if (!ready) res.set("Retry-After", String(retryAfter));
+  res.status(ready ? 200 : 503).json({
+    status,
+    ready,
+    reason,
+    retryAfter,
+    queue: { depth: pending + running, pending, running },
+    timestamp: new Date().toISOString(),
+  });
+});
+
 /**
  * GET /api/virtual-tryon/health
- * Health check endpoint
+ * Detailed health: readiness, the garment categories the backend accepts, backends and their
+ * breakers, last success/failure, latency percentiles, queue depth and probes. Public, so it
+ * only reports recorded state; checks and synthetic probes run on the monitor's own schedule,
+ * never per request.
  */
-router.get("/health", async (req, res) => {
+router.get("/health", (req, res) => {
   try {
     const service = getTryOnService();
-    const isHealthy = await service.healthCheck();
+    const monitor = getHealthMonitor();
+    const { provider, model, garmentCategories } = service.describeProvider();
+    const { readiness, backend, queue, probe, lastCheck } = monitor.report();
+    const isHealthy = readiness.status === READINESS.READY;
     res.status(isHealthy ? 200 : 503).json({
       status: isHealthy ? "ok" : "service_unavailable",
-      model: "yisol/IDM-VTON",
+      provider,
+      model,
+      garmentCategories,
+      readiness,
+      backends: service.describeBackends(),
+      ...backend,
+      queue,
+      batches: getBatchManager().stats(),
+      results: getResultStore() ? getResultStore().describe() : null,
+      probe,
+      lastCheck,
       timestamp: new Date().toISOString(),
     });
   } catch (err) {
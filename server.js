@@ -1,12 +1,18 @@
 // server.js
+// First, so .env is loaded before any module below reads its configuration at import time
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import virtualTryOnRoutes from './routes/virtualTryOn.js'; // Import the new route file
+import { timingSafeEqual } from 'crypto';
+import virtualTryOnRoutes, { getCacheStats, getReadiness, renderMetrics } from './routes/virtualTryOn.js'; // Import the new route file
+import { CONTENT_TYPE as METRICS_CONTENT_TYPE } from './services/Metrics.js';
+import adminRoutes from './routes/admin.js';
+import { getLogger } from './services/Logger.js';
 
-dotenv.config();
+// JSON lines; VTON_LOG_LEVEL (debug | info | warn | error) may come from .env, loaded by the first import
+const logger = getLogger();
 
 // --- Configuration ---
 const __filename = fileURLToPath(import.meta.url);
@@ -19,17 +25,22 @@ const PORT = process.env.PORT || 3000;
 const RENDER_URL = process.env.RENDER_EXTERNAL_URL;
 // Priority: 1. Render URL -> 2. Custom API_URL Env -> 3. Localhost
 const API_URL = RENDER_URL || process.env.API_URL || `http://localhost:${PORT}`;
-console.log(`[VTON] Final API URL for Widget: ${API_URL}`);
+logger.info(`[VTON] Final API URL for Widget: ${API_URL}`);
 // *** FIX END ***
 
-// --- CUSTOM QUOTA MESSAGE CONFIGURATION ---
-const QUOTA_ERROR_MESSAGE = 'The AI service daily quota appears to be full or the service is overloaded. Please try again later.';
-// ------------------------------------------
+// Behind a reverse proxy (e.g. Render), set TRUST_PROXY to the number of proxy hops
+// so rate limits see the real client IP instead of the proxy's.
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
 
 // Middleware
+// Any site may load the widget; per-merchant origin allowlists are enforced
+// on the process endpoint by the API key middleware. Requests carry the key in
+// a header, never cookies, so no credentials are allowed across origins.
 app.use(cors({
     origin: '*', // Allow all origins for the widget
-    credentials: true
+    exposedHeaders: ['X-Request-Id', 'Retry-After'] // Readable by the widget on other sites
 }));
 
 // Increased limit for base64 image data
@@ -44,16 +55,34 @@ app.use(express.static(path.join(__dirname, 'public')));
 // Use the imported router for VTON API endpoints
 app.use('/api/virtual-tryon', virtualTryOnRoutes);
 
-// Health check endpoint (simple)
+// Merchant API key management (requires VTON_ADMIN_TOKEN)
+app.use('/api/admin', adminRoutes);
+
+// Health check endpoint (simple); see /api/virtual-tryon/health/live, /ready and /health for more
 app.get('/api/health', (req, res) => {
     res.json({
         status: 'ok',
+        readiness: getReadiness().status,
         timestamp: new Date().toISOString(),
         hf_token_configured: !!process.env.HF_TOKEN,
-        api_url: API_URL
+        api_url: API_URL,
+        cache: getCacheStats()
     });
 });
 
+// Prometheus metrics; set VTON_METRICS_TOKEN to require "Authorization: Bearer <token>"
+app.get('/metrics', (req, res) => {
+    const metricsToken = process.env.VTON_METRICS_TOKEN;
+    if (metricsToken) {
+        const presented = Buffer.from((req.get('Authorization') || '').replace(/^Bearer\s+/i, ''));
+        const expected = Buffer.from(metricsToken);
+        if (presented.length !== expected.length || !timingSafeEqual(presented, expected)) {
+            return res.status(401).set('WWW-Authenticate', 'Bearer').send('Invalid metrics token.\n');
+        }
+    }
+    res.set('Content-Type', METRICS_CONTENT_TYPE).send(renderMetrics());
+});
+
 // Serve widget with API URL injection
 app.get('/widget.js', (req, res) => {
     try {
@@ -65,7 +94,7 @@ app.get('/widget.js', (req, res) => {
         res.setHeader('Access-Control-Allow-Origin', '*');
         res.send(modifiedScript);
     } catch (e) {
-        console.error('[VTON] Error serving widget:', e.message);
+        logger.error('[VTON] Error serving widget', e);
         res.status(500).send('Error loading widget script.');
     }
 });
@@ -77,7 +106,11 @@ app.get('/', (req, res) => {
 
 // --- Server Start ---
 app.listen(PORT, () => {
-    console.log(`\n[VTON] Server running on http://localhost:${PORT}`);
-    console.log(`[VTON] Widget URL: ${API_URL}/widget.js`);
-    console.log(`[VTON] API endpoint: POST ${API_URL}/api/virtual-tryon/process\n`);
+    logger.info(`[VTON] Server running on http://localhost:${PORT}`);
+    logger.info(`[VTON] Widget URL: ${API_URL}/widget.js`);
+    logger.info(`[VTON] API endpoint: POST ${API_URL}/api/virtual-tryon/process`);
+    if (process.env.VTON_REQUIRE_API_KEY !== 'true') {
+        logger.warn('[VTON] WARNING: merchant API keys are NOT required. Any site can run try-ons on this server '
+            + 'and spend its backend quota, limited only per IP. Set VTON_REQUIRE_API_KEY=true in production.');
+    }
 });
\ No newline at end of file
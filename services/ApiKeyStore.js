@@ -0,0 +1,177 @@
+// services/ApiKeyStore.js
+import { randomBytes } from "crypto";
+import fs from "fs";
+import path from "path";
+import { getLogger } from "./Logger.js";
+
+/**
+ * Merchant API keys persisted in a local JSON file.
+ *
+ * Each record: { key, name, allowedOrigins: string[], allowedImageHosts: string[], enabled,
+ * createdAt, updatedAt }, plus optional rateLimitPerMinute / dailyQuota overrides (null = server default).
+ * allowedImageHosts lists the hosts the server may download personImageUrl / garmentImageUrl from
+ * (empty = VTON_IMAGE_URL_HOSTS).
+ * Widget keys are publishable (they end up in storefront HTML); the origin
+ * allowlist is what stops other sites from using them, so a key without
+ * allowedOrigins cannot be used from a browser at all (server-to-server calls,
+ * which send no Origin, still work).
+ */
+class ApiKeyStore {
+  constructor(config = {}) {
+    this.filePath = config.filePath || path.join(process.cwd(), "data", "api-keys.json");
+    this.logger = config.logger || console;
+    this.keys = new Map();
+    this.load();
+  }
+
+  load() {
+    try {
+      const records = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      this.keys = new Map(records.map((record) => [record.key, record]));
+      this.logger.info(`[ApiKeyStore] Loaded ${this.keys.size} API key(s) from ${this.filePath}`);
+      const browserless = records.filter((record) => !record.allowedOrigins || record.allowedOrigins.length === 0);
+      if (browserless.length > 0) {
+        this.logger.warn(`[ApiKeyStore] ${browserless.length} API key(s) have no allowedOrigins and will be rejected in browsers; add origins (or "*") to use them in the widget`);
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        this.logger.error(`[ApiKeyStore] Failed to load ${this.filePath}: ${error.message}`);
+        throw error;
+      }
+      this.keys = new Map();
+    }
+  }
+
+  /**
+   * Write all keys atomically (temp file + rename) so a crash never leaves half a file
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempFile = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify([...this.keys.values()], null, 2));
+    fs.renameSync(tempFile, this.filePath);
+  }
+
+  get size() {
+    return this.keys.size;
+  }
+
+  list() {
+    return [...this.keys.values()];
+  }
+
+  get(key) {
+    return this.keys.get(key) || null;
+  }
+
+  create({ name, allowedOrigins = [], allowedImageHosts = [], enabled = true, rateLimitPerMinute = null, dailyQuota = null } = {}) {
+    if (!name || typeof name !== "string") {
+      throw new Error("A display name is required.");
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+      key: `vton_${randomBytes(24).toString("hex")}`,
+      name: name.trim(),
+      allowedOrigins: normalizeOrigins(allowedOrigins),
+      allowedImageHosts: normalizeHosts(allowedImageHosts),
+      enabled: enabled !== false,
+      rateLimitPerMinute: normalizeLimit(rateLimitPerMinute),
+      dailyQuota: normalizeLimit(dailyQuota),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.keys.set(record.key, record);
+    this.save();
+    return record;
+  }
+
+  update(key, changes = {}) {
+    const record = this.get(key);
+    if (!record) return null;
+
+    if (changes.name !== undefined) record.name = String(changes.name).trim();
+    if (changes.allowedOrigins !== undefined) record.allowedOrigins = normalizeOrigins(changes.allowedOrigins);
+    if (changes.allowedImageHosts !== undefined) record.allowedImageHosts = normalizeHosts(changes.allowedImageHosts);
+    if (changes.enabled !== undefined) record.enabled = changes.enabled === true || changes.enabled === "true";
+    if (changes.rateLimitPerMinute !== undefined) record.rateLimitPerMinute = normalizeLimit(changes.rateLimitPerMinute);
+    if (changes.dailyQuota !== undefined) record.dailyQuota = normalizeLimit(changes.dailyQuota);
+    record.updatedAt = new Date().toISOString();
+
+    this.save();
+    return record;
+  }
+
+  remove(key) {
+    const removed = this.keys.delete(key);
+    if (removed) this.save();
+    return removed;
+  }
+}
+
+/**
+ * Accept an array or comma-separated string; strip trailing slashes so
+ * "https://shop.example/" matches the browser's Origin header.
+ */
+const normalizeOrigins = (origins) => {
+  const list = Array.isArray(origins) ? origins : String(origins).split(",");
+  return list.map((origin) => String(origin).trim().replace(/\/+$/, "")).filter(Boolean);
+};
+
+/**
+ * Accept an array or comma-separated string of hostnames ("cdn.shop.example", "*.shopcdn.example");
+ * a pasted URL such as "https://cdn.shop.example/images" is reduced to its hostname.
+ */
+const normalizeHosts = (hosts) => {
+  const list = Array.isArray(hosts) ? hosts : String(hosts).split(",");
+  return list
+    .map((host) => String(host).trim().toLowerCase().replace(/^[a-z]+:\/\//, "").replace(/[/:].*$/, ""))
+    .filter(Boolean);
+};
+
+/**
+ * Non-negative integer limit, or null to use the server default
+ */
+const normalizeLimit = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const limit = parseInt(value, 10);
+  return Number.isNaN(limit) || limit < 0 ? null : limit;
+};
+
+/**
+ * Whether a browser Origin is allowed by a key's allowlist.
+ * An empty list allows no origin; entries may be exact origins, "*" (any site,
+ * which has to be chosen explicitly), or a wildcard subdomain such as "https://*.shop.example".
+ */
+export const isOriginAllowed = (allowedOrigins, origin) => {
+  if (!allowedOrigins || allowedOrigins.length === 0) return false;
+
+  return allowedOrigins.some((allowed) => {
+    if (allowed === "*" || allowed === origin) return true;
+    if (!allowed.includes("*.")) return false;
+
+    const [scheme, hostPattern] = allowed.split("://");
+    const suffix = hostPattern.replace(/^\*\./, ".");
+    try {
+      const { protocol, host } = new URL(origin);
+      return protocol === `${scheme}:` && host.endsWith(suffix);
+    } catch (error) {
+      return false;
+    }
+  });
+};
+
+let sharedStore = null;
+
+/**
+ * Store shared by the API and admin routes (file from VTON_API_KEYS_FILE)
+ */
+export const getApiKeyStore = () => {
+  if (!sharedStore) {
+    sharedStore = new ApiKeyStore({ filePath: process.env.VTON_API_KEYS_FILE, logger: getLogger() });
+  }
+  return sharedStore;
+};
+
+export default ApiKeyStore;
@@ -0,0 +1,114 @@
+// services/CircuitBreaker.js
+import TryOnError, { ERROR_CODES } from "./TryOnError.js";
+
+export const BREAKER_STATE = Object.freeze({
+  CLOSED: "closed", // Requests flow normally
+  OPEN: "open", // Failing; requests skip this backend until resetTimeout has passed
+  HALF_OPEN: "half_open", // One probe request decides whether to close or reopen
+});
+
+/**
+ * Raised when every backend's breaker is open, so the request fails at once
+ * instead of waiting for a backend that is known to be down.
+ */
+export class CircuitOpenError extends TryOnError {
+  constructor(retryAfterMs) {
+    const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    super(ERROR_CODES.UPSTREAM_UNAVAILABLE, null, {
+      messageKey: "upstream.circuitOpen",
+      messageParams: { seconds },
+      details: "All try-on backends are unavailable (circuit open)",
+    });
+    this.name = "CircuitOpenError";
+    this.retryAfter = seconds;
+  }
+}
+
+/**
+ * Per-backend circuit breaker. After failureThreshold consecutive failures the
+ * breaker opens; once resetTimeout has passed it lets a single probe through
+ * (half-open) and closes again if that succeeds.
+ */
+class CircuitBreaker {
+  constructor(config = {}) {
+    this.failureThreshold = config.failureThreshold || 3;
+    this.resetTimeout = config.resetTimeout || 30000;
+    this.now = config.now || Date.now;
+
+    this.state = BREAKER_STATE.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Milliseconds until an open breaker will allow a probe (0 when it would now)
+   */
+  retryAfter() {
+    if (this.state !== BREAKER_STATE.OPEN) return 0;
+    return Math.max(0, this.openedAt + this.resetTimeout - this.now());
+  }
+
+  /**
+   * Whether a request may use this backend now. Moving from open to half-open
+   * reserves the single probe for the caller, which must then record the outcome.
+   */
+  tryAcquire() {
+    if (this.state === BREAKER_STATE.OPEN && this.retryAfter() === 0) {
+      this.state = BREAKER_STATE.HALF_OPEN;
+      this.probing = false;
+    }
+    if (this.state === BREAKER_STATE.CLOSED) return true;
+    if (this.state === BREAKER_STATE.HALF_OPEN && !this.probing) {
+      this.probing = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = BREAKER_STATE.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+    this.lastSuccessAt = this.now();
+  }
+
+  /**
+   * Give back an acquired probe without an outcome, for requests that say nothing
+   * about the backend's health (the caller gave up, or the request itself was invalid)
+   */
+  release() {
+    this.probing = false;
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastFailureAt = this.now();
+    this.lastError = error ? error.details || error.message : null;
+
+    if (this.state === BREAKER_STATE.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = BREAKER_STATE.OPEN;
+      this.openedAt = this.now();
+      this.probing = false;
+    }
+  }
+
+  describe() {
+    const toIso = (time) => (time ? new Date(time).toISOString() : null);
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: toIso(this.openedAt),
+      retryAt: this.state === BREAKER_STATE.OPEN ? toIso(this.openedAt + this.resetTimeout) : null,
+      lastFailureAt: toIso(this.lastFailureAt),
+      lastSuccessAt: toIso(this.lastSuccessAt),
+      lastError: this.lastError,
+    };
+  }
+}
+
+export default CircuitBreaker;
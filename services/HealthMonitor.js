@@ -0,0 +1,271 @@
+// services/HealthMonitor.js
+import { fileURLToPath } from "url";
+import { DEFAULT_PARAMS } from "./tryOnParams.js";
+
+export const READINESS = Object.freeze({
+  READY: "ready", // The latest try-on, probe or check succeeded and some backend is usable
+  WARMING_UP: "warming_up", // Nothing has succeeded or failed since startup yet; the backend may be waking
+  UNAVAILABLE: "unavailable", // Every backend's breaker is open, or the latest outcome was a failure
+});
+
+const SAMPLE_PERSON = fileURLToPath(new URL("../samples/probe-person.jpg", import.meta.url));
+const SAMPLE_GARMENT = fileURLToPath(new URL("../samples/probe-garment.jpg", import.meta.url));
+
+// Seconds a client should wait before asking again while a startup check runs
+const WARMING_UP_RETRY_AFTER = 5;
+
+const toIso = (time) => (time ? new Date(time).toISOString() : null);
+
+/**
+ * Outcomes and latencies of real backend calls (cache hits and invalid requests excluded),
+ * kept by VirtualTryOnService. Percentiles cover the most recent `window` successes.
+ */
+export class BackendStats {
+  constructor(config = {}) {
+    this.window = config.window || 100;
+    this.now = config.now || Date.now;
+    this.latencies = [];
+    this.successes = 0;
+    this.failures = 0;
+    this.lastSuccessAt = null;
+    this.lastFailureAt = null;
+    this.lastError = null;
+  }
+
+  recordSuccess(durationMs) {
+    this.successes++;
+    this.lastSuccessAt = this.now();
+    this.latencies.push(durationMs);
+    if (this.latencies.length > this.window) this.latencies.shift();
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastFailureAt = this.now();
+    this.lastError = error ? { code: error.code || null, message: error.details || error.message } : null;
+  }
+
+  /**
+   * Nearest-rank percentile of the recent latencies (null without samples)
+   */
+  percentile(p) {
+    if (this.latencies.length === 0) return null;
+    const sorted = [...this.latencies].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+  }
+
+  snapshot() {
+    return {
+      successes: this.successes,
+      failures: this.failures,
+      lastSuccessAt: toIso(this.lastSuccessAt),
+      lastFailureAt: toIso(this.lastFailureAt),
+      lastError: this.lastError,
+      latencyMs: {
+        samples: this.latencies.length,
+        p50: this.percentile(50),
+        p90: this.percentile(90),
+        p99: this.percentile(99),
+      },
+    };
+  }
+}
+
+/**
+ * Decides whether the service is ready for shoppers and reports backend health.
+ *
+ * Readiness is answered from recorded state, never by calling the backend, so it is
+ * cheap enough for the widget to poll: the service is ready while its most recent
+ * outcome (real try-on, probe or check) is a success. While it is not, asking for
+ * readiness starts a background connection health check, at most every checkInterval.
+ * Synthetic try-ons with the bundled sample images (probes) only run on their own
+ * timer: at start and every probeInterval in which no real try-on has succeeded.
+ * They go through the job queue, so they never exceed the concurrency limit.
+ */
+class HealthMonitor {
+  constructor(config = {}) {
+    this.service = config.service;
+    this.queue = config.queue;
+    this.probeInterval = config.probeInterval || 0; // 0 disables synthetic probes
+    const probeImages = config.probeImages || {};
+    this.probeImages = {
+      person: probeImages.person || SAMPLE_PERSON,
+      garment: probeImages.garment || SAMPLE_GARMENT,
+    };
+    this.checkInterval = config.checkInterval || 15000;
+    this.logger = config.logger || console;
+    this.now = config.now || Date.now;
+
+    this.checking = null;
+    this.lastCheck = null; // { at, ok, durationMs, error }
+    this.lastProbe = null;
+    this.probeTimer = null;
+  }
+
+  /**
+   * Run the first probe (or, without probes, the first check) now and schedule probes
+   */
+  start() {
+    if (this.probeInterval && !this.probeTimer) {
+      this.probeTimer = setInterval(() => this.probe().catch(() => {}), this.probeInterval);
+      this.probeTimer.unref();
+      this.probe({ force: true }).catch(() => {});
+    } else if (!this.probeInterval) {
+      this.check();
+    }
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.probeTimer);
+    this.probeTimer = null;
+  }
+
+  /**
+   * Run the provider's health check (e.g. a Gradio connection), recorded as lastCheck.
+   * Concurrent calls share one run. Resolves with whether it passed.
+   */
+  check() {
+    if (!this.checking) {
+      this.checking = this.healthCheck().finally(() => {
+        this.checking = null;
+      });
+    }
+    return this.checking;
+  }
+
+  async healthCheck() {
+    const started = this.now();
+    const ok = await this.service.healthCheck();
+    this.lastCheck = { at: this.now(), ok, durationMs: this.now() - started, error: ok ? null : "Health check failed" };
+    return ok;
+  }
+
+  /**
+   * Synthetic try-on with the sample images, queued like a real one but never cached.
+   * Skipped when a real try-on succeeded within the probe interval and nothing has failed
+   * since, unless forced, and while real try-ons are queued or running (their outcomes
+   * are recorded anyway). Resolves with whether it passed.
+   */
+  async probe({ force = false } = {}) {
+    const { lastSuccessAt, lastFailureAt } = this.service.stats;
+    const recentSuccess = lastSuccessAt && this.now() - lastSuccessAt < this.probeInterval && !(lastFailureAt > lastSuccessAt);
+    if (!force && recentSuccess) return true;
+    const { pending, running } = this.queue.stats();
+    if (pending + running > 0) return true;
+
+    const started = this.now();
+    try {
+      const job = this.queue.submit(
+        (reportProgress) =>
+          this.service.callBackend(this.probeImages.person, this.probeImages.garment, {
+            params: DEFAULT_PARAMS,
+            onProgress: reportProgress,
+          }),
+        { logger: this.logger }
+      );
+      const finished = await this.queue.waitFor(job.id);
+      if (finished.error) throw finished.error;
+      this.lastProbe = { at: this.now(), ok: true, durationMs: this.now() - started, error: null };
+    } catch (error) {
+      this.logger.warn(`[HealthMonitor] Probe failed: ${error.message}`);
+      this.lastProbe = { at: this.now(), ok: false, durationMs: this.now() - started, error: error.details || error.message };
+    }
+    return this.lastProbe.ok;
+  }
+
+  /**
+   * The most recent success and failure across real try-ons, probes and checks:
+   * { successAt, failureAt, error }. A passing connection check only counts without
+   * probes; when probes are enabled only a try-on shows that the backend works.
+   */
+  latestOutcomes() {
+    const { stats } = this.service;
+    const successes = [stats.lastSuccessAt];
+    const failures = [{ at: stats.lastFailureAt, error: stats.lastError && stats.lastError.message }];
+    [this.lastProbe, this.lastCheck].forEach((check) => {
+      if (!check) return;
+      if (!check.ok) failures.push(check);
+      else if (check === this.lastProbe || !this.probeInterval) successes.push(check.at);
+    });
+
+    const failure = failures.reduce((latest, next) => ((next.at || 0) > (latest.at || 0) ? next : latest));
+    return {
+      successAt: Math.max(0, ...successes.map((at) => at || 0)) || null,
+      failureAt: failure.at || null,
+      error: failure.error,
+    };
+  }
+
+  /**
+   * { status, reason, retryAfter } where status is a READINESS value and retryAfter is in seconds
+   */
+  readiness() {
+    const backends = this.service.describeBackends();
+    const openBreakers = backends.filter((backend) => backend.breaker && backend.breaker.state === "open");
+    if (openBreakers.length > 0 && openBreakers.length === backends.length) {
+      const retryAt = Math.min(...openBreakers.map((backend) => Date.parse(backend.breaker.retryAt)));
+      return {
+        status: READINESS.UNAVAILABLE,
+        reason: "All try-on backends are failing.",
+        retryAfter: Math.max(1, Math.ceil((retryAt - this.now()) / 1000)),
+      };
+    }
+
+    const { successAt, failureAt, error } = this.latestOutcomes();
+    if (successAt && (!failureAt || successAt > failureAt)) {
+      return { status: READINESS.READY, reason: null, retryAfter: null };
+    }
+
+    // Not known to work: check the connection in the background, without a GPU try-on
+    if (!this.checking && (!this.lastCheck || this.now() - this.lastCheck.at >= this.checkInterval)) {
+      this.check().catch(() => {});
+    }
+    if (failureAt) {
+      return {
+        status: READINESS.UNAVAILABLE,
+        reason: error || "The last try-on failed.",
+        retryAfter: Math.ceil(this.checkInterval / 1000),
+      };
+    }
+    return { status: READINESS.WARMING_UP, reason: "The try-on backend is starting.", retryAfter: WARMING_UP_RETRY_AFTER };
+  }
+
+  /**
+   * Detailed health for /health: readiness, last success/failure, latency percentiles,
+   * queue depth and probe results
+   */
+  report() {
+    const describeCheck = (check) => check && { ...check, at: toIso(check.at) };
+    const queue = this.queue.stats();
+    return {
+      readiness: this.readiness(),
+      backend: this.service.stats.snapshot(),
+      queue: { ...queue, depth: queue.pending + queue.running },
+      probe: {
+        enabled: this.probeInterval > 0,
+        intervalMs: this.probeInterval || null,
+        last: describeCheck(this.lastProbe),
+      },
+      lastCheck: describeCheck(this.lastCheck),
+    };
+  }
+}
+
+/**
+ * Create a HealthMonitor for a service and job queue from environment variables
+ * @param {object} [options] - Extra constructor config (e.g. logger)
+ */
+export const healthMonitorFromEnv = (service, queue, env = process.env, options = {}) => {
+  const readInt = (name) => (env[name] ? parseInt(env[name], 10) : undefined);
+  return new HealthMonitor({
+    service,
+    queue,
+    probeInterval: readInt("VTON_PROBE_INTERVAL_MS"),
+    probeImages: { person: env.VTON_PROBE_PERSON_IMAGE, garment: env.VTON_PROBE_GARMENT_IMAGE },
+    checkInterval: readInt("VTON_READINESS_CHECK_INTERVAL_MS"),
+    ...options,
+  });
+};
+
+export default HealthMonitor;
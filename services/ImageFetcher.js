@@ -0,0 +1,230 @@
+// services/ImageFetcher.js
+import axios from "axios";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import TryOnError, { ERROR_CODES } from "./TryOnError.js";
+import { ImageValidationError } from "./ImageProcessor.js";
+
+const ALLOWED_CONTENT_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+// Addresses a fetched URL may never reach: loopback, private ranges, link-local
+// (cloud metadata at 169.254.169.254), carrier-grade NAT, multicast and reserved
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96], // NAT64 can reach IPv4 private ranges
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6"));
+
+/**
+ * Whether an IP address is private, local or reserved (IPv4-mapped IPv6 included)
+ */
+export const isBlockedAddress = (address) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], "ipv4");
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+};
+
+/**
+ * Whether a hostname is on an allowlist. Entries are exact hostnames, "*",
+ * or a wildcard subdomain such as "*.cdn.shop.example" (which also matches cdn.shop.example).
+ */
+export const isHostAllowed = (allowedHosts, hostname) => {
+  if (!allowedHosts || allowedHosts.length === 0) return false;
+  const host = hostname.toLowerCase();
+
+  return allowedHosts.some((entry) => {
+    const allowed = String(entry).trim().toLowerCase();
+    if (allowed === "*" || allowed === host) return true;
+    if (!allowed.startsWith("*.")) return false;
+    const suffix = allowed.slice(1);
+    return host.endsWith(suffix) || host === suffix.slice(1);
+  });
+};
+
+/**
+ * Downloads person/garment images from URLs on behalf of merchants whose CDNs the
+ * widget cannot read from the browser (no CORS). Guards against SSRF:
+ *
+ * - only http(s) on the default ports, no credentials in the URL
+ * - the host must be on the merchant's allowedImageHosts (or VTON_IMAGE_URL_HOSTS)
+ * - every connection is checked after DNS resolution, so private addresses are
+ *   refused even behind a public name or a redirect (no DNS rebinding)
+ * - redirects are followed by hand, re-checking each hop, up to maxRedirects
+ * - Content-Type must be JPEG, PNG or WebP and the body at most maxBytes
+ */
+class ImageFetcher {
+  constructor(config = {}) {
+    this.defaultAllowedHosts = config.allowedHosts || [];
+    this.allowPrivateAddresses = config.allowPrivateAddresses === true; // Local development only
+    this.maxRedirects = config.maxRedirects ?? 3;
+    this.maxBytes = config.maxBytes || 10 * 1024 * 1024;
+    this.timeout = config.timeout || 15000;
+
+    const lookup = (hostname, options, callback) => this.lookup(hostname, options, callback);
+    this.httpAgent = new http.Agent({ lookup });
+    this.httpsAgent = new https.Agent({ lookup });
+  }
+
+  /**
+   * dns.lookup that refuses private addresses; used for every socket the agents open
+   */
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+      const blocked = !this.allowPrivateAddresses && addresses.find(({ address }) => isBlockedAddress(address));
+      if (blocked) {
+        const refused = new Error(`${hostname} resolves to the private address ${blocked.address}`);
+        refused.code = "VTON_PRIVATE_ADDRESS";
+        return callback(refused);
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  /**
+   * Parse and check a URL against the protocol, port and host rules. Returns the URL object.
+   */
+  checkUrl(rawUrl, allowedHosts, label) {
+    let url;
+    try {
+      url = new URL(rawUrl);
+    } catch (error) {
+      throw new TryOnError(ERROR_CODES.IMAGE_FETCH, null, { messageKey: "fetch.invalidUrl", messageParams: { label } });
+    }
+
+    if (!["http:", "https:"].includes(url.protocol) || url.port || url.username || url.password) {
+      throw new TryOnError(ERROR_CODES.IMAGE_FETCH, null, { messageKey: "fetch.invalidUrl", messageParams: { label } });
+    }
+
+    // IP literals skip DNS, so check them here
+    const hostname = url.hostname.replace(/^\[|\]$/g, "");
+    if (net.isIP(hostname) && !this.allowPrivateAddresses && isBlockedAddress(hostname)) {
+      throw new TryOnError(ERROR_CODES.IMAGE_FETCH, null, { messageKey: "fetch.privateAddress", messageParams: { label } });
+    }
+
+    if (!isHostAllowed(allowedHosts, hostname)) {
+      throw new TryOnError(ERROR_CODES.IMAGE_FETCH, null, {
+        messageKey: "fetch.hostNotAllowed",
+        messageParams: { label, host: hostname },
+        statusCode: 403,
+      });
+    }
+
+    return url;
+  }
+
+  /**
+   * Download an image. Returns a Buffer; throws TryOnError (VTON_IMAGE_FETCH,
+   * VTON_PAYLOAD_TOO_LARGE or VTON_INVALID_IMAGE) when the URL or response is refused.
+   * @param {string} rawUrl
+   * @param {object} [options]
+   * @param {string[]} [options.allowedHosts] - The merchant's allowedImageHosts; defaults to VTON_IMAGE_URL_HOSTS
+   * @param {string} [options.label] - "person" or "garment", used in error messages (omit for plain "image")
+   */
+  async fetch(rawUrl, { allowedHosts, label = "" } = {}) {
+    const hosts = allowedHosts && allowedHosts.length > 0 ? allowedHosts : this.defaultAllowedHosts;
+    let url = this.checkUrl(rawUrl, hosts, label);
+
+    for (let redirects = 0; ; redirects++) {
+      let response;
+      try {
+        response = await axios.get(url.href, {
+          responseType: "arraybuffer",
+          timeout: this.timeout,
+          maxRedirects: 0,
+          maxContentLength: this.maxBytes,
+          validateStatus: () => true,
+          httpAgent: this.httpAgent,
+          httpsAgent: this.httpsAgent,
+          proxy: false,
+          headers: { Accept: ALLOWED_CONTENT_TYPES.join(", ") },
+        });
+      } catch (error) {
+        throw this.toFetchError(error, label);
+      }
+
+      const { status, headers } = response;
+      if (status >= 300 && status < 400 && headers.location) {
+        if (redirects >= this.maxRedirects) {
+          throw new TryOnError(ERROR_CODES.IMAGE_FETCH, null, {
+            messageKey: "fetch.tooManyRedirects",
+            messageParams: { label, max: this.maxRedirects },
+          });
+        }
+        url = this.checkUrl(new URL(headers.location, url).href, hosts, label);
+        continue;
+      }
+
+      if (status !== 200) {
+        throw new TryOnError(ERROR_CODES.IMAGE_FETCH, null, {
+          messageKey: "fetch.failed",
+          messageParams: { label, reason: `HTTP ${status}` },
+        });
+      }
+
+      const contentType = String(headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+      if (!ALLOWED_CONTENT_TYPES.includes(contentType)) {
+        throw new ImageValidationError("fetch.notImage", { label, type: contentType || "unknown" }, 415);
+      }
+
+      return Buffer.from(response.data);
+    }
+  }
+
+  toFetchError(error, label) {
+    if (error.code === "ERR_BAD_RESPONSE" && /maxContentLength/.test(error.message)) {
+      return new TryOnError(ERROR_CODES.PAYLOAD_TOO_LARGE, null, {
+        messageKey: "upload.tooLarge",
+        messageParams: { label, limit: Math.round(this.maxBytes / (1024 * 1024)) },
+      });
+    }
+    if (error.code === "VTON_PRIVATE_ADDRESS" || (error.cause && error.cause.code === "VTON_PRIVATE_ADDRESS")) {
+      return new TryOnError(ERROR_CODES.IMAGE_FETCH, null, {
+        messageKey: "fetch.privateAddress",
+        messageParams: { label },
+        details: error.message,
+      });
+    }
+    return new TryOnError(ERROR_CODES.IMAGE_FETCH, null, {
+      messageKey: "fetch.failed",
+      messageParams: { label, reason: error.code || error.message },
+      details: error.message,
+    });
+  }
+}
+
+/**
+ * Create an ImageFetcher from environment variables
+ */
+export const imageFetcherFromEnv = (env = process.env) => {
+  const readInt = (name) => (env[name] ? parseInt(env[name], 10) : undefined);
+  return new ImageFetcher({
+    allowedHosts: (env.VTON_IMAGE_URL_HOSTS || "").split(",").map((host) => host.trim()).filter(Boolean),
+    allowPrivateAddresses: env.VTON_IMAGE_URL_ALLOW_PRIVATE === "true",
+    maxRedirects: readInt("VTON_IMAGE_URL_MAX_REDIRECTS"),
+    maxBytes: readInt("VTON_MAX_UPLOAD_BYTES"),
+    timeout: readInt("VTON_IMAGE_URL_TIMEOUT_MS"),
+  });
+};
+
+export default ImageFetcher;
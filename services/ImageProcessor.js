@@ -0,0 +1,125 @@
+// services/ImageProcessor.js
+import sharp from "sharp";
+import TryOnError, { ERROR_CODES } from "./TryOnError.js";
+
+/**
+ * Raised for images that are rejected before reaching the backend (code VTON_INVALID_IMAGE).
+ * The message comes from the i18n catalog ("image.*" / "upload.*" keys).
+ * statusCode is 415 for unsupported formats and 400 for everything else.
+ */
+export class ImageValidationError extends TryOnError {
+  constructor(messageKey, messageParams = {}, statusCode = 400) {
+    super(ERROR_CODES.INVALID_IMAGE, null, { statusCode, messageKey, messageParams });
+    this.name = "ImageValidationError";
+  }
+}
+
+// File signatures ("magic bytes") of the formats the model pipeline accepts
+const SIGNATURES = [
+  { format: "jpeg", mime: "image/jpeg", test: (b) => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  {
+    format: "png",
+    mime: "image/png",
+    test: (b) => b.length > 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    format: "webp",
+    mime: "image/webp",
+    test: (b) => b.length > 12 && b.toString("ascii", 0, 4) === "RIFF" && b.toString("ascii", 8, 12) === "WEBP",
+  },
+];
+
+/**
+ * Detect the image format from its leading bytes.
+ * Returns { format, mime, extension } or null for anything else.
+ */
+export const detectImageFormat = (buffer) => {
+  const match = SIGNATURES.find((signature) => signature.test(buffer));
+  if (!match) return null;
+  return { format: match.format, mime: match.mime, extension: match.format === "jpeg" ? "jpg" : match.format };
+};
+
+/**
+ * Validates uploaded images and normalizes them to the size the model expects:
+ * EXIF orientation applied, scaled to fit the target box and padded to its aspect ratio.
+ */
+class ImageProcessor {
+  constructor(config = {}) {
+    this.targetWidth = config.targetWidth || 768; // IDM-VTON works at 768x1024 (3:4)
+    this.targetHeight = config.targetHeight || 1024;
+    this.minDimension = config.minDimension || 256;
+    this.maxDimension = config.maxDimension || 8000;
+    this.maxMegapixels = config.maxMegapixels || 40;
+    this.background = config.background || "#ffffff";
+    this.quality = config.quality || 92;
+  }
+
+  /**
+   * Check format, decodability and dimensions. Returns the image metadata.
+   * @param {Buffer} buffer
+   * @param {string} label - "person" or "garment", used in error messages
+   */
+  async validate(buffer, label = "") {
+    if (!buffer || buffer.length === 0) {
+      throw new ImageValidationError("image.empty", { label });
+    }
+
+    const detected = detectImageFormat(buffer);
+    if (!detected) {
+      throw new ImageValidationError("image.unsupportedFormat", { label }, 415);
+    }
+
+    let metadata;
+    try {
+      metadata = await sharp(buffer, { limitInputPixels: this.maxMegapixels * 1e6 }).metadata();
+    } catch (error) {
+      throw new ImageValidationError("image.unreadable", { label, reason: error.message });
+    }
+
+    const { width, height } = metadata;
+    if (!width || !height) {
+      throw new ImageValidationError("image.noDimensions", { label });
+    }
+    if (Math.min(width, height) < this.minDimension) {
+      throw new ImageValidationError("image.tooSmall", { label, width, height, min: this.minDimension });
+    }
+    if (Math.max(width, height) > this.maxDimension) {
+      throw new ImageValidationError("image.tooLarge", { label, width, height, max: this.maxDimension });
+    }
+    if ((width * height) / 1e6 > this.maxMegapixels) {
+      throw new ImageValidationError("image.tooManyPixels", { label, max: this.maxMegapixels });
+    }
+
+    return { ...metadata, format: detected.format };
+  }
+
+  /**
+   * Validate, then return a JPEG Buffer at exactly targetWidth x targetHeight
+   */
+  async normalize(buffer, label = "") {
+    await this.validate(buffer, label);
+
+    return sharp(buffer, { limitInputPixels: this.maxMegapixels * 1e6 })
+      .rotate() // Apply EXIF orientation, then drop it
+      .resize(this.targetWidth, this.targetHeight, { fit: "contain", background: this.background })
+      .flatten({ background: this.background }) // JPEG has no alpha channel
+      .jpeg({ quality: this.quality })
+      .toBuffer();
+  }
+}
+
+/**
+ * Create an ImageProcessor from environment variables
+ */
+export const imageProcessorFromEnv = (env = process.env) => {
+  const readInt = (name) => (env[name] ? parseInt(env[name], 10) : undefined);
+  return new ImageProcessor({
+    targetWidth: readInt("VTON_TARGET_WIDTH"),
+    targetHeight: readInt("VTON_TARGET_HEIGHT"),
+    minDimension: readInt("VTON_MIN_IMAGE_DIMENSION"),
+    maxDimension: readInt("VTON_MAX_IMAGE_DIMENSION"),
+    maxMegapixels: readInt("VTON_MAX_MEGAPIXELS"),
+  });
+};
+
+export default ImageProcessor;
@@ -0,0 +1,112 @@
+// services/Logger.js
+
+export const LOG_LEVELS = Object.freeze({ debug: 10, info: 20, warn: 30, error: 40 });
+
+// "[VirtualTryOn] Calling ..." -> component "VirtualTryOn", so existing messages stay searchable
+const COMPONENT_PREFIX = /^\[([^\]]+)\]\s*/;
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+
+const serializeError = (error) => {
+  const serialized = { name: error.name, message: error.message };
+  if (error.code) serialized.code = error.code;
+  if (error.details) serialized.details = error.details;
+  return serialized;
+};
+
+/**
+ * Structured logger writing one JSON object per line:
+ * { time, level, component, msg, requestId, ...fields }.
+ *
+ * Call signatures match console (info/warn/error with extra arguments), so it can
+ * be passed anywhere a service takes `config.logger`. A trailing plain object is
+ * merged into the entry as fields; Error arguments become `error`; anything else is
+ * appended to the message. child(fields) returns a logger that adds `fields` to
+ * every entry, e.g. the requestId of the request being handled.
+ */
+class Logger {
+  constructor(config = {}) {
+    this.level = LOG_LEVELS[config.level] ? config.level : "info";
+    this.fields = config.fields || {};
+    this.write = config.write || ((line) => process.stdout.write(`${line}\n`));
+    this.now = config.now || (() => new Date());
+  }
+
+  child(fields) {
+    return new Logger({ level: this.level, write: this.write, now: this.now, fields: { ...this.fields, ...fields } });
+  }
+
+  isEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+
+  log(level, message, ...args) {
+    if (!this.isEnabled(level)) return;
+
+    const fields = args.length > 0 && isPlainObject(args[args.length - 1]) ? args.pop() : {};
+    let text = message instanceof Error ? message.message : String(message);
+    const entry = { time: this.now().toISOString(), level };
+
+    const component = text.match(COMPONENT_PREFIX);
+    if (component) {
+      entry.component = component[1];
+      text = text.slice(component[0].length);
+    }
+
+    args.forEach((arg) => {
+      if (arg instanceof Error) {
+        entry.error = serializeError(arg);
+      } else {
+        text += ` ${typeof arg === "string" ? arg : JSON.stringify(arg)}`;
+      }
+    });
+    if (message instanceof Error) entry.error = serializeError(message);
+
+    entry.msg = text;
+    Object.assign(entry, this.fields, fields);
+
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (error) {
+      // Circular or otherwise unserializable fields: keep the message
+      line = JSON.stringify({ time: entry.time, level, component: entry.component, msg: text, ...this.fields });
+    }
+    this.write(line);
+  }
+
+  debug(message, ...args) {
+    this.log("debug", message, ...args);
+  }
+
+  info(message, ...args) {
+    this.log("info", message, ...args);
+  }
+
+  warn(message, ...args) {
+    this.log("warn", message, ...args);
+  }
+
+  error(message, ...args) {
+    this.log("error", message, ...args);
+  }
+}
+
+/**
+ * Create a Logger from environment variables (VTON_LOG_LEVEL: debug | info | warn | error)
+ */
+export const loggerFromEnv = (env = process.env) => new Logger({ level: env.VTON_LOG_LEVEL });
+
+let sharedLogger = null;
+
+/**
+ * Logger shared by the server, routes and the services they create
+ */
+export const getLogger = () => {
+  if (!sharedLogger) {
+    sharedLogger = loggerFromEnv();
+  }
+  return sharedLogger;
+};
+
+export default Logger;
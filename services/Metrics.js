@@ -0,0 +1,182 @@
+// services/Metrics.js
+
+/**
+ * A small Prometheus client: counters, gauges and histograms with labels, rendered in
+ * the text exposition format (version 0.0.4) for GET /metrics.
+ */
+
+export const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+const formatValue = (value) => {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+};
+
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // Label values joined -> { labels, ...state }
+  }
+
+  /**
+   * The series for a label set, created on first use. Unknown labels are ignored and
+   * missing ones are empty.
+   */
+  seriesFor(labels = {}, create) {
+    const values = this.labelNames.map((name) => (labels[name] === undefined || labels[name] === null ? "" : String(labels[name])));
+    const key = values.join("\u0000");
+    if (!this.series.has(key)) {
+      const picked = {};
+      this.labelNames.forEach((name, index) => {
+        picked[name] = values[index];
+      });
+      this.series.set(key, { labels: picked, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  formatLabels(labels, extra = {}) {
+    const pairs = Object.entries({ ...labels, ...extra }).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(options) {
+    super("counter", options);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${this.formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * A value that goes up and down. options.collect(gauge), if given, runs before each
+ * render so the gauge can be filled from current state (e.g. queue length).
+ */
+export class Gauge extends Metric {
+  constructor(options) {
+    super("gauge", options);
+    this.collect = options.collect || null;
+  }
+
+  set(labels = {}, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  dec(labels = {}, amount = 1) {
+    this.inc(labels, -amount);
+  }
+
+  render() {
+    if (this.collect) this.collect(this);
+    const lines = this.header();
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${this.formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(options) {
+    super("histogram", options);
+    this.buckets = [...(options.buckets || [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120])].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start a timer; calling the returned function observes the elapsed seconds
+   */
+  startTimer(labels = {}) {
+    const started = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${this.formatLabels(labels, { le: formatValue(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${this.formatLabels(labels, { le: "+Inf" })} ${count}`);
+      lines.push(`${this.name}_sum${this.formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${this.formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * A set of metrics rendered together
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered.`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return `${lines.join("\n")}\n`;
+  }
+}
+
+export default MetricsRegistry;
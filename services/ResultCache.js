@@ -0,0 +1,265 @@
+// services/ResultCache.js
+import { createHash } from "crypto";
+import fs from "fs";
+import path from "path";
+import os from "os";
+
+/**
+ * In-memory LRU store. Map keeps insertion order, so re-inserting on read
+ * moves an entry to the "most recently used" end. Least recently used entries
+ * are evicted to stay within both maxEntries and maxBytes (results are
+ * multi-megabyte base64 images, so the byte cap is usually the one that bites).
+ */
+export class MemoryCacheStore {
+  constructor(config = {}) {
+    this.maxEntries = config.maxEntries || 100;
+    this.maxBytes = config.maxBytes || 100 * 1024 * 1024; // 100 MB
+    this.ttl = config.ttl || 0; // 0 = no expiry
+    this.entries = new Map();
+    this.bytes = 0;
+  }
+
+  isExpired(entry) {
+    return this.ttl && Date.now() - entry.createdAt > this.ttl;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (this.isExpired(entry)) {
+      this.delete(key);
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Whether a live entry exists, without touching its LRU position
+   */
+  async has(key) {
+    const entry = this.entries.get(key);
+    return !!entry && !this.isExpired(entry);
+  }
+
+  async set(key, value) {
+    // Approximate: strings are counted at one byte per character, which is exact for base64
+    const size = JSON.stringify(value).length;
+    this.delete(key);
+    if (size > this.maxBytes) return; // Would evict everything else and still not fit
+
+    this.entries.set(key, { value, size, createdAt: Date.now() });
+    this.bytes += size;
+
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.delete(this.entries.keys().next().value);
+    }
+  }
+
+  describe() {
+    return {
+      store: "memory",
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+    };
+  }
+}
+
+/**
+ * Filesystem store: one JSON file per entry, expired by TTL and trimmed
+ * (oldest first) to stay under a total size cap.
+ */
+export class FileCacheStore {
+  constructor(config = {}) {
+    this.dir = config.dir || path.join(os.tmpdir(), "vton-cache");
+    this.ttl = config.ttl || 24 * 60 * 60 * 1000; // 24 hours
+    this.maxBytes = config.maxBytes || 500 * 1024 * 1024; // 500 MB
+    this.logger = config.logger || console;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async get(key) {
+    const file = this.filePath(key);
+    try {
+      const stat = await fs.promises.stat(file);
+      if (Date.now() - stat.mtimeMs > this.ttl) {
+        await fs.promises.unlink(file);
+        return null;
+      }
+
+      return JSON.parse(await fs.promises.readFile(file, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        this.logger.warn(`[ResultCache] Failed to read cache entry ${key}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Whether a live entry exists, without reading it
+   */
+  async has(key) {
+    try {
+      const stat = await fs.promises.stat(this.filePath(key));
+      return Date.now() - stat.mtimeMs <= this.ttl;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async set(key, value) {
+    try {
+      await fs.promises.writeFile(this.filePath(key), JSON.stringify(value));
+      await this.trim();
+    } catch (error) {
+      this.logger.warn(`[ResultCache] Failed to write cache entry ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove expired entries, then the oldest ones until under maxBytes
+   */
+  async trim() {
+    const names = (await fs.promises.readdir(this.dir)).filter((name) => name.endsWith(".json"));
+    const files = [];
+
+    for (const name of names) {
+      const file = path.join(this.dir, name);
+      try {
+        const stat = await fs.promises.stat(file);
+        if (Date.now() - stat.mtimeMs > this.ttl) {
+          await fs.promises.unlink(file);
+        } else {
+          files.push({ file, size: stat.size, writtenAt: stat.mtimeMs });
+        }
+      } catch (error) {
+        // Removed concurrently; nothing to do
+      }
+    }
+
+    let total = files.reduce((sum, entry) => sum + entry.size, 0);
+    files.sort((a, b) => a.writtenAt - b.writtenAt);
+
+    for (const entry of files) {
+      if (total <= this.maxBytes) break;
+      await fs.promises.unlink(entry.file).catch(() => {});
+      total -= entry.size;
+    }
+  }
+
+  describe() {
+    return { store: "file", dir: this.dir, ttl: this.ttl, maxBytes: this.maxBytes };
+  }
+}
+
+/**
+ * Caches try-on results keyed by a hash of both images and the generation parameters.
+ */
+class ResultCache {
+  constructor(config = {}) {
+    this.store = config.store || new MemoryCacheStore(config);
+    this.logger = config.logger || console;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Build the cache key. `scope` distinguishes backends that would give different results.
+   */
+  keyFor(personImage, garmentImage, params = {}, scope = "") {
+    const sortedParams = Object.keys(params).sort().reduce((sorted, name) => {
+      sorted[name] = params[name];
+      return sorted;
+    }, {});
+
+    return createHash("sha256")
+      .update(createHash("sha256").update(personImage).digest("hex"))
+      .update(createHash("sha256").update(garmentImage).digest("hex"))
+      .update(JSON.stringify(sortedParams))
+      .update(scope)
+      .digest("hex");
+  }
+
+  async get(key) {
+    const value = await this.store.get(key);
+    if (value) {
+      this.hits++;
+      this.logger.info(`[ResultCache] Hit ${key.substring(0, 12)}`);
+    } else {
+      this.misses++;
+    }
+    return value;
+  }
+
+  /**
+   * Check for an entry without counting a hit or miss
+   */
+  async has(key) {
+    return this.store.has(key);
+  }
+
+  async set(key, value) {
+    await this.store.set(key, value);
+  }
+
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      ...this.store.describe(),
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups ? Number((this.hits / lookups).toFixed(3)) : 0,
+    };
+  }
+}
+
+/**
+ * Create a cache from environment variables. Returns null when caching is disabled.
+ * @param {object} [options] - { logger }
+ */
+export const resultCacheFromEnv = (env = process.env, options = {}) => {
+  const mode = env.VTON_CACHE || "memory";
+  const ttl = env.VTON_CACHE_TTL_MS ? parseInt(env.VTON_CACHE_TTL_MS, 10) : undefined;
+  const maxBytes = env.VTON_CACHE_MAX_BYTES ? parseInt(env.VTON_CACHE_MAX_BYTES, 10) : undefined;
+
+  if (mode === "off") return null;
+
+  if (mode === "file") {
+    return new ResultCache({
+      logger: options.logger,
+      store: new FileCacheStore({
+        logger: options.logger,
+        dir: env.VTON_CACHE_DIR,
+        ttl,
+        maxBytes,
+      }),
+    });
+  }
+
+  return new ResultCache({
+    logger: options.logger,
+    maxEntries: env.VTON_CACHE_MAX_ENTRIES ? parseInt(env.VTON_CACHE_MAX_ENTRIES, 10) : undefined,
+    maxBytes,
+    ttl,
+  });
+};
+
+export default ResultCache;
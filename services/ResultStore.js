@@ -0,0 +1,394 @@
+// services/ResultStore.js
+import axios from "axios";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createHash, createHmac, randomBytes, randomUUID, timingSafeEqual } from "crypto";
+import { detectImageFormat } from "./ImageProcessor.js";
+
+// Result IDs are UUIDs; anything else never reaches a storage backend (or the filesystem)
+export const RESULT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const contentTypeOf = (buffer) => {
+  const detected = detectImageFormat(buffer);
+  return detected ? detected.mime : "application/octet-stream";
+};
+
+/**
+ * Local disk storage: one file per result, named by its ID
+ */
+export class FileResultStorage {
+  constructor(config = {}) {
+    this.dir = config.dir || path.join(os.tmpdir(), "vton-results");
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  filePath(id) {
+    return path.join(this.dir, id);
+  }
+
+  async put(id, buffer) {
+    // Write then rename, so a half-written file is never served
+    const partial = `${this.filePath(id)}.partial`;
+    await fs.promises.writeFile(partial, buffer);
+    await fs.promises.rename(partial, this.filePath(id));
+  }
+
+  /**
+   * { buffer, contentType, createdAt } or null when missing
+   */
+  async get(id) {
+    try {
+      const file = this.filePath(id);
+      const [stat, buffer] = await Promise.all([fs.promises.stat(file), fs.promises.readFile(file)]);
+      return { buffer, contentType: contentTypeOf(buffer), createdAt: stat.mtimeMs };
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * { createdAt } without reading the image, or null when missing
+   */
+  async stat(id) {
+    try {
+      const stat = await fs.promises.stat(this.filePath(id));
+      return { createdAt: stat.mtimeMs };
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Delete results written before `cutoff` (ms since epoch). Resolves with the number removed.
+   */
+  async deleteOlderThan(cutoff) {
+    let removed = 0;
+    for (const name of await fs.promises.readdir(this.dir)) {
+      const file = path.join(this.dir, name);
+      try {
+        const stat = await fs.promises.stat(file);
+        if (stat.mtimeMs < cutoff) {
+          await fs.promises.unlink(file);
+          removed++;
+        }
+      } catch (error) {
+        // Removed concurrently; nothing to do
+      }
+    }
+    return removed;
+  }
+
+  describe() {
+    return { storage: "file", dir: this.dir };
+  }
+}
+
+// --- S3 ---
+
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const sha256Hex = (data) => createHash("sha256").update(data).digest("hex");
+
+const hmacSha256 = (key, data) => createHmac("sha256", key).update(data).digest();
+
+const decodeXml = (text) =>
+  text.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+
+/**
+ * S3-compatible object storage (AWS S3, Cloudflare R2, MinIO, ...), using the REST API
+ * with Signature Version 4. With an endpoint, buckets are addressed path-style
+ * (<endpoint>/<bucket>/<key>); without one, as AWS virtual-hosted buckets.
+ */
+export class S3ResultStorage {
+  constructor(config = {}) {
+    this.bucket = config.bucket;
+    this.region = config.region || "us-east-1";
+    this.endpoint = config.endpoint ? config.endpoint.replace(/\/+$/, "") : null;
+    this.prefix = config.prefix ?? "results/";
+    this.accessKeyId = config.accessKeyId;
+    this.secretAccessKey = config.secretAccessKey;
+    this.sessionToken = config.sessionToken || null;
+    this.timeout = config.timeout || 30000;
+    this.now = config.now || Date.now;
+
+    if (!this.bucket || !this.accessKeyId || !this.secretAccessKey) {
+      throw new Error("S3ResultStorage requires a bucket and credentials (set VTON_S3_BUCKET and VTON_S3_ACCESS_KEY_ID / VTON_S3_SECRET_ACCESS_KEY).");
+    }
+  }
+
+  /**
+   * Scheme and host requests go to
+   */
+  origin() {
+    return this.endpoint || `https://${this.bucket}.s3.${this.region}.amazonaws.com`;
+  }
+
+  /**
+   * Send a signed request for an object key ("" for the bucket itself)
+   */
+  async request(method, key, { body = null, query = {}, contentType = null } = {}) {
+    const origin = this.origin();
+    const bucketPath = this.endpoint ? `/${encodeRfc3986(this.bucket)}` : "";
+    const keyPath = key ? `/${key.split("/").map(encodeRfc3986).join("/")}` : "";
+    const canonicalPath = `${bucketPath}${keyPath}` || "/";
+    const canonicalQuery = Object.keys(query)
+      .sort()
+      .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join("&");
+
+    const amzDate = new Date(this.now()).toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(body || "");
+
+    const headers = {
+      host: new URL(origin).host,
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": amzDate,
+    };
+    if (contentType) headers["content-type"] = contentType;
+    if (this.sessionToken) headers["x-amz-security-token"] = this.sessionToken;
+
+    const signedHeaders = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      canonicalPath,
+      canonicalQuery,
+      signedHeaders.map((name) => `${name}:${String(headers[name]).trim()}\n`).join(""),
+      signedHeaders.join(";"),
+      payloadHash,
+    ].join("\n");
+
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+    const dateKey = hmacSha256(`AWS4${this.secretAccessKey}`, dateStamp);
+    const signingKey = hmacSha256(hmacSha256(hmacSha256(dateKey, this.region), "s3"), "aws4_request");
+    const signature = hmacSha256(signingKey, stringToSign).toString("hex");
+
+    const { host, ...sentHeaders } = headers; // axios sets Host from the URL
+    return axios({
+      method,
+      url: `${origin}${canonicalPath}${canonicalQuery ? `?${canonicalQuery}` : ""}`,
+      headers: {
+        ...sentHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(";")}, Signature=${signature}`,
+      },
+      data: body,
+      responseType: "arraybuffer",
+      timeout: this.timeout,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus: () => true,
+    });
+  }
+
+  fail(action, response) {
+    const text = Buffer.from(response.data || "").toString("utf8");
+    const code = (text.match(/<Code>([^<]*)<\/Code>/) || [])[1];
+    return new Error(`S3 ${action} failed with HTTP ${response.status}${code ? ` (${code})` : ""}`);
+  }
+
+  async put(id, buffer) {
+    const response = await this.request("PUT", `${this.prefix}${id}`, { body: buffer, contentType: contentTypeOf(buffer) });
+    if (response.status !== 200) throw this.fail("upload", response);
+  }
+
+  async get(id) {
+    const response = await this.request("GET", `${this.prefix}${id}`);
+    if (response.status === 404) return null;
+    if (response.status !== 200) throw this.fail("download", response);
+
+    const buffer = Buffer.from(response.data);
+    return {
+      buffer,
+      contentType: response.headers["content-type"] || contentTypeOf(buffer),
+      createdAt: Date.parse(response.headers["last-modified"]) || this.now(),
+    };
+  }
+
+  async stat(id) {
+    const response = await this.request("HEAD", `${this.prefix}${id}`);
+    if (response.status === 404) return null;
+    if (response.status !== 200) throw this.fail("lookup", response);
+    return { createdAt: Date.parse(response.headers["last-modified"]) || this.now() };
+  }
+
+  /**
+   * Delete results under the prefix last modified before `cutoff`. A bucket lifecycle
+   * rule on the prefix does the same without listing, and is preferable for large buckets.
+   */
+  async deleteOlderThan(cutoff) {
+    let removed = 0;
+    let continuationToken = null;
+
+    do {
+      const query = { "list-type": "2", prefix: this.prefix };
+      if (continuationToken) query["continuation-token"] = continuationToken;
+      const response = await this.request("GET", "", { query });
+      if (response.status !== 200) throw this.fail("listing", response);
+
+      const xml = Buffer.from(response.data).toString("utf8");
+      for (const [, entry] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        const key = decodeXml((entry.match(/<Key>([^<]*)<\/Key>/) || [])[1] || "");
+        const modifiedAt = Date.parse((entry.match(/<LastModified>([^<]*)<\/LastModified>/) || [])[1]);
+        if (key && modifiedAt < cutoff) {
+          const deleted = await this.request("DELETE", key);
+          if (deleted.status === 204 || deleted.status === 200) removed++;
+        }
+      }
+
+      const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+      continuationToken = truncated ? decodeXml((xml.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/) || [])[1] || "") : null;
+    } while (continuationToken);
+
+    return removed;
+  }
+
+  describe() {
+    return { storage: "s3", bucket: this.bucket, region: this.region, endpoint: this.endpoint, prefix: this.prefix };
+  }
+}
+
+/**
+ * Keeps result images in a storage backend and hands out short-lived links to them.
+ *
+ * Links are /results/<id>?expires=<unix seconds>&signature=<HMAC-SHA256 of id and expiry>,
+ * so anyone holding one (e.g. a shopper sharing it) can view the image until it
+ * expires, without an API key, and nobody can guess other results. Results older than
+ * `retention` are no longer served and are deleted by a periodic cleanup.
+ */
+class ResultStore {
+  constructor(config = {}) {
+    this.storage = config.storage || new FileResultStorage(config);
+    this.urlTtl = config.urlTtl || 60 * 60 * 1000; // Links work for 1 hour
+    this.retention = config.retention || 24 * 60 * 60 * 1000; // Results are kept for 24 hours
+    this.logger = config.logger || console;
+    this.now = config.now || Date.now;
+
+    this.secret = config.secret;
+    if (!this.secret) {
+      // Fine for one instance; links stop working on restart and are not valid across instances
+      this.secret = randomBytes(32);
+      this.logger.warn("[ResultStore] VTON_RESULT_URL_SECRET is not set; result links will not survive a restart.");
+    }
+
+    const cleanupInterval = config.cleanupInterval || Math.min(this.retention, 60 * 60 * 1000);
+    this.cleanupTimer = setInterval(() => this.cleanup().catch(() => {}), cleanupInterval);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Store a result image. Resolves with its new ID.
+   */
+  async save(buffer) {
+    const id = randomUUID();
+    await this.storage.put(id, buffer);
+    return id;
+  }
+
+  /**
+   * { buffer, contentType, createdAt } for a stored result, or null when it is unknown
+   * or past retention
+   */
+  async load(id) {
+    if (!RESULT_ID_PATTERN.test(id)) return null;
+    const result = await this.storage.get(id);
+    if (!result || this.now() - result.createdAt > this.retention) return null;
+    return result;
+  }
+
+  /**
+   * Whether a stored result can be linked again: it exists and stays within retention for
+   * at least as long as a new link lasts
+   */
+  async has(id) {
+    if (!RESULT_ID_PATTERN.test(id)) return false;
+    const stat = await this.storage.stat(id);
+    return !!stat && this.now() - stat.createdAt + this.urlTtl <= this.retention;
+  }
+
+  signature(id, expires) {
+    return createHmac("sha256", this.secret).update(`${id}:${expires}`).digest("base64url");
+  }
+
+  /**
+   * A link to a result under `basePath` (e.g. "https://vton.example/api/virtual-tryon/results"):
+   * { url, expiresAt }
+   */
+  signedUrl(id, basePath) {
+    const expires = Math.floor((this.now() + this.urlTtl) / 1000);
+    const query = `expires=${expires}&signature=${this.signature(id, expires)}`;
+    return { url: `${basePath}/${id}?${query}`, expiresAt: new Date(expires * 1000).toISOString() };
+  }
+
+  /**
+   * Whether a link's expiry and signature are valid for this ID
+   */
+  verify(id, expires, signature) {
+    const expiresAt = Number(expires);
+    if (!Number.isInteger(expiresAt) || expiresAt * 1000 < this.now()) return false;
+
+    const presented = Buffer.from(String(signature || ""));
+    const expected = Buffer.from(this.signature(id, expiresAt));
+    return presented.length === expected.length && timingSafeEqual(presented, expected);
+  }
+
+  /**
+   * Delete results past retention
+   */
+  async cleanup() {
+    try {
+      const removed = await this.storage.deleteOlderThan(this.now() - this.retention);
+      if (removed > 0) this.logger.info(`[ResultStore] Removed ${removed} expired result(s)`);
+      return removed;
+    } catch (error) {
+      this.logger.warn(`[ResultStore] Cleanup failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  stop() {
+    clearInterval(this.cleanupTimer);
+  }
+
+  describe() {
+    return { ...this.storage.describe(), urlTtlMs: this.urlTtl, retentionMs: this.retention };
+  }
+}
+
+/**
+ * Create a result store from environment variables. Returns null when result hosting is
+ * disabled (VTON_RESULT_STORE=off), in which case results are only returned as base64.
+ * @param {object} [options] - Extra constructor config (e.g. logger)
+ */
+export const resultStoreFromEnv = (env = process.env, options = {}) => {
+  const mode = env.VTON_RESULT_STORE || "file";
+  const readInt = (name) => (env[name] ? parseInt(env[name], 10) : undefined);
+
+  if (mode === "off") return null;
+
+  const storage = mode === "s3"
+    ? new S3ResultStorage({
+        bucket: env.VTON_S3_BUCKET,
+        region: env.VTON_S3_REGION || env.AWS_REGION,
+        endpoint: env.VTON_S3_ENDPOINT,
+        prefix: env.VTON_S3_PREFIX,
+        accessKeyId: env.VTON_S3_ACCESS_KEY_ID || env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: env.VTON_S3_SECRET_ACCESS_KEY || env.AWS_SECRET_ACCESS_KEY,
+        sessionToken: env.AWS_SESSION_TOKEN,
+      })
+    : new FileResultStorage({ dir: env.VTON_RESULT_DIR });
+
+  return new ResultStore({
+    storage,
+    secret: env.VTON_RESULT_URL_SECRET,
+    urlTtl: readInt("VTON_RESULT_URL_TTL_MS"),
+    retention: readInt("VTON_RESULT_RETENTION_MS"),
+    ...options,
+  });
+};
+
+export default ResultStore;
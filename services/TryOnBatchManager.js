@@ -0,0 +1,180 @@
+// services/TryOnBatchManager.js
+import { randomUUID } from "crypto";
+import { JOB_STATUS } from "./TryOnJobQueue.js";
+
+export const BATCH_STATUS = Object.freeze({
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed", // Every item finished; some may have failed
+});
+
+/**
+ * Runs batches of try-ons (e.g. one model photo across a catalog) with a per-batch
+ * concurrency limit, tracking each item's status and result. A failed item never
+ * stops the others.
+ *
+ * Items run through `runItem(item)`, an async function supplied per batch that returns
+ * the item's result; the route uses it to feed the shared TryOnJobQueue, so batch work
+ * interleaves with interactive try-ons instead of blocking them.
+ */
+class TryOnBatchManager {
+  constructor(config = {}) {
+    this.batchTtl = config.batchTtl || 60 * 60 * 1000; // Keep finished batches for an hour
+    this.logger = config.logger || console;
+    this.batches = new Map();
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), Math.min(this.batchTtl, 60000));
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Start a batch. Returns the public view immediately; items run in the background.
+   * @param {object[]} items - Arbitrary item descriptions, passed to runItem in order
+   * @param {object} options
+   * @param {function(object, function(string)): Promise<object>} options.runItem - Produces an item's
+   *   result; its second argument reports the ID of the job it submitted
+   * @param {number} [options.concurrency] - Items in flight at once (default 1)
+   * @param {string} [options.owner] - Merchant key allowed to read the batch
+   */
+  create(items, { runItem, concurrency = 1, owner = null }) {
+    const now = new Date().toISOString();
+    const batch = {
+      id: randomUUID(),
+      owner,
+      status: BATCH_STATUS.QUEUED,
+      concurrency: Math.max(1, concurrency),
+      items: items.map((item, index) => ({
+        index,
+        input: item,
+        status: JOB_STATUS.QUEUED,
+        jobId: null,
+        result: null,
+        error: null,
+        startedAt: null,
+        finishedAt: null,
+      })),
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+    };
+
+    this.batches.set(batch.id, batch);
+    this.logger.info(`[BatchManager] Batch ${batch.id} created with ${items.length} item(s), concurrency ${batch.concurrency}`);
+
+    this.run(batch, runItem);
+    return this.toPublic(batch);
+  }
+
+  /**
+   * Look up a batch by ID. Returns null for unknown or expired batches.
+   */
+  get(id) {
+    const batch = this.batches.get(id);
+    return batch ? this.toPublic(batch) : null;
+  }
+
+  /**
+   * One item of a batch, including its result. Returns null when either is unknown.
+   */
+  getItem(id, index) {
+    const batch = this.batches.get(id);
+    const item = batch && batch.items[index];
+    return item ? { ...this.toPublicItem(item), result: item.result } : null;
+  }
+
+  async run(batch, runItem) {
+    let next = 0;
+
+    const worker = async () => {
+      while (next < batch.items.length) {
+        const item = batch.items[next++];
+        await this.runOne(batch, item, runItem);
+      }
+    };
+
+    this.touch(batch, { status: BATCH_STATUS.RUNNING });
+    const workers = Array.from({ length: Math.min(batch.concurrency, batch.items.length) }, worker);
+    await Promise.all(workers);
+
+    const failed = batch.items.filter((item) => item.status === JOB_STATUS.FAILED).length;
+    this.touch(batch, { status: BATCH_STATUS.COMPLETED, finishedAt: new Date().toISOString() });
+    this.logger.info(`[BatchManager] Batch ${batch.id} completed: ${batch.items.length - failed} succeeded, ${failed} failed`);
+  }
+
+  async runOne(batch, item, runItem) {
+    item.status = JOB_STATUS.RUNNING;
+    item.startedAt = new Date().toISOString();
+    this.touch(batch);
+
+    try {
+      item.result = await runItem(item.input, (jobId) => {
+        item.jobId = jobId;
+      });
+      item.status = JOB_STATUS.SUCCEEDED;
+    } catch (error) {
+      item.error = error;
+      item.status = JOB_STATUS.FAILED;
+      this.logger.error(`[BatchManager] Batch ${batch.id} item ${item.index} failed: ${error.message}`);
+    } finally {
+      item.finishedAt = new Date().toISOString();
+      this.touch(batch);
+    }
+  }
+
+  touch(batch, changes = {}) {
+    Object.assign(batch, changes, { updatedAt: new Date().toISOString() });
+  }
+
+  toPublicItem(item) {
+    return {
+      index: item.index,
+      input: item.input,
+      status: item.status,
+      jobId: item.jobId,
+      error: item.error,
+      startedAt: item.startedAt,
+      finishedAt: item.finishedAt,
+    };
+  }
+
+  toPublic(batch) {
+    const counts = { total: batch.items.length };
+    Object.values(JOB_STATUS).forEach((status) => {
+      counts[status] = batch.items.filter((item) => item.status === status).length;
+    });
+
+    return {
+      id: batch.id,
+      owner: batch.owner,
+      status: batch.status,
+      concurrency: batch.concurrency,
+      counts,
+      items: batch.items.map((item) => this.toPublicItem(item)),
+      createdAt: batch.createdAt,
+      updatedAt: batch.updatedAt,
+      finishedAt: batch.finishedAt,
+    };
+  }
+
+  /**
+   * Remove completed batches (and their results) older than the TTL
+   */
+  cleanup() {
+    const cutoff = Date.now() - this.batchTtl;
+    for (const [id, batch] of this.batches) {
+      if (batch.status === BATCH_STATUS.COMPLETED && Date.parse(batch.finishedAt) < cutoff) {
+        this.batches.delete(id);
+      }
+    }
+  }
+
+  stats() {
+    const batches = [...this.batches.values()];
+    return {
+      tracked: batches.length,
+      running: batches.filter((batch) => batch.status !== BATCH_STATUS.COMPLETED).length,
+    };
+  }
+}
+
+export default TryOnBatchManager;
@@ -0,0 +1,114 @@
+// services/TryOnError.js
+import { DEFAULT_LOCALE, lookupMessage, negotiateLocale, translate } from "./i18n.js";
+
+/**
+ * Stable error codes returned to clients in the `code` field.
+ * The widget maps each one to its own user-facing message, so never rename them.
+ */
+export const ERROR_CODES = Object.freeze({
+  TIMEOUT: "VTON_TIMEOUT",
+  AUTH: "VTON_AUTH", // Our credentials for the AI backend were rejected
+  UPSTREAM_UNAVAILABLE: "VTON_UPSTREAM_UNAVAILABLE",
+  UPSTREAM_ERROR: "VTON_UPSTREAM_ERROR",
+  INVALID_IMAGE: "VTON_INVALID_IMAGE",
+  INVALID_REQUEST: "VTON_INVALID_REQUEST",
+  PAYLOAD_TOO_LARGE: "VTON_PAYLOAD_TOO_LARGE",
+  IMAGE_FETCH: "VTON_IMAGE_FETCH", // An image URL was refused or could not be downloaded
+  UNAUTHORIZED: "VTON_UNAUTHORIZED", // Missing or unknown merchant API key
+  FORBIDDEN: "VTON_FORBIDDEN", // Disabled key or origin not allowed
+  RATE_LIMITED: "VTON_RATE_LIMITED",
+  QUOTA: "VTON_QUOTA",
+  JOB_NOT_FOUND: "VTON_JOB_NOT_FOUND",
+  INTERNAL: "VTON_INTERNAL",
+});
+
+const STATUS_CODES = {
+  [ERROR_CODES.TIMEOUT]: 504,
+  [ERROR_CODES.AUTH]: 401,
+  [ERROR_CODES.UPSTREAM_UNAVAILABLE]: 503,
+  [ERROR_CODES.UPSTREAM_ERROR]: 502,
+  [ERROR_CODES.INVALID_IMAGE]: 400,
+  [ERROR_CODES.INVALID_REQUEST]: 400,
+  [ERROR_CODES.PAYLOAD_TOO_LARGE]: 413,
+  [ERROR_CODES.IMAGE_FETCH]: 400,
+  [ERROR_CODES.UNAUTHORIZED]: 401,
+  [ERROR_CODES.FORBIDDEN]: 403,
+  [ERROR_CODES.RATE_LIMITED]: 429,
+  [ERROR_CODES.QUOTA]: 429,
+  [ERROR_CODES.JOB_NOT_FOUND]: 404,
+  [ERROR_CODES.INTERNAL]: 500,
+};
+
+// Codes that mean the backend (or our credentials for it) failed, not the request
+const BACKEND_ERROR_CODES = [
+  ERROR_CODES.TIMEOUT,
+  ERROR_CODES.AUTH,
+  ERROR_CODES.UPSTREAM_UNAVAILABLE,
+  ERROR_CODES.UPSTREAM_ERROR,
+  ERROR_CODES.QUOTA,
+];
+
+/**
+ * Error with a stable code and HTTP status.
+ * `details` carries the underlying technical reason for logs and errorDetails.
+ *
+ * Without a message, the English text comes from the i18n catalog: options.messageKey
+ * (with options.messageParams) or else the code's generic message. Responses are
+ * translated per request from the same key (see toErrorResponse).
+ */
+class TryOnError extends Error {
+  constructor(code, message, options = {}) {
+    super(message || translate(DEFAULT_LOCALE, options.messageKey || code, options.messageParams));
+    this.name = "TryOnError";
+    this.code = code;
+    this.statusCode = options.statusCode || STATUS_CODES[code] || 500;
+    this.details = options.details || null;
+    this.messageKey = options.messageKey || null;
+    this.messageParams = options.messageParams || {};
+  }
+}
+
+/**
+ * Whether an error from a backend call says the backend is unhealthy (as opposed to an
+ * invalid request). Errors that are not TryOnErrors come from the connection or the backend.
+ */
+export const isBackendFailure = (error) => !(error instanceof TryOnError) || BACKEND_ERROR_CODES.includes(error.code);
+
+/**
+ * Turn any error into { statusCode, body } for a JSON error response.
+ * Unknown errors become VTON_INTERNAL without leaking their message as the main text.
+ * For other locales the message is the translation of the error's messageKey, else of
+ * its code's generic message, else the English message.
+ */
+export const toErrorResponse = (err, locale = DEFAULT_LOCALE) => {
+  const error = err instanceof TryOnError
+    ? err
+    : new TryOnError(ERROR_CODES.INTERNAL, null, { details: err.message });
+
+  const message = locale === DEFAULT_LOCALE
+    ? error.message
+    : (error.messageKey && lookupMessage(locale, error.messageKey, error.messageParams)) ||
+      lookupMessage(locale, error.code) ||
+      error.message;
+
+  const body = { status: "error", code: error.code, message };
+  if (error.details) body.errorDetails = error.details;
+
+  return { statusCode: error.statusCode, body };
+};
+
+/**
+ * Send an error as JSON in the request's Accept-Language, with optional extra fields (e.g. retryAfter).
+ * Includes the request's ID (see middleware/requestId.js) so it can be quoted to support.
+ */
+export const sendError = (res, err, extra = {}) => {
+  const locale = negotiateLocale(res.req);
+  const { statusCode, body } = toErrorResponse(err, locale);
+  if (res.req.id) body.requestId = res.req.id;
+  res.vary("Accept-Language");
+  res.set("Content-Language", locale);
+  res.locals.errorCode = body.code; // For the request metrics
+  return res.status(statusCode).json({ ...body, ...extra });
+};
+
+export default TryOnError;
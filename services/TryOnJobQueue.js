@@ -0,0 +1,205 @@
+// services/TryOnJobQueue.js
+import { randomUUID } from "crypto";
+import { EventEmitter } from "events";
+import TryOnError, { ERROR_CODES } from "./TryOnError.js";
+
+export const JOB_STATUS = Object.freeze({
+  QUEUED: "queued",
+  RUNNING: "running",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+});
+
+const isFinished = (job) => job.status === JOB_STATUS.SUCCEEDED || job.status === JOB_STATUS.FAILED;
+
+/**
+ * Raised by submit when maxPending jobs are already waiting, so the caller can
+ * answer 503 with Retry-After instead of growing the queue without bound.
+ */
+export class QueueFullError extends TryOnError {
+  constructor(retryAfterSeconds) {
+    super(ERROR_CODES.UPSTREAM_UNAVAILABLE, null, {
+      messageKey: "request.queueFull",
+      messageParams: { seconds: retryAfterSeconds },
+      details: "The try-on queue is full",
+    });
+    this.name = "QueueFullError";
+    this.retryAfter = retryAfterSeconds;
+  }
+}
+
+/**
+ * Emits "update" with the public view of a job whenever its status or progress changes.
+ */
+class TryOnJobQueue extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.setMaxListeners(0); // One listener per open progress stream
+    this.concurrency = Math.max(1, config.concurrency || 1);
+    this.jobTtl = config.jobTtl || 15 * 60 * 1000; // Keep finished jobs for 15 minutes
+    this.maxPending = config.maxPending || 100; // Jobs allowed to wait for a slot
+    this.retryAfter = config.retryAfter || 30; // Seconds suggested to callers turned away by a full queue
+    this.logger = config.logger || console;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+
+    // Periodically drop finished jobs so the map does not grow forever
+    this.cleanupTimer = setInterval(() => this.cleanup(), Math.min(this.jobTtl, 60000));
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Add a job to the queue. `task` is an async function that produces the result;
+   * it receives a `reportProgress(update)` callback for intermediate progress.
+   * With `options.immediate` the job starts right away, ignoring the concurrency
+   * limit (for cheap work such as cache hits that never reach the backend).
+   * `options.requestId` is the ID of the request that created the job, reported with it;
+   * `options.logger` (e.g. req.log) logs the job's lifecycle.
+   * Returns the public view of the new job immediately, or throws QueueFullError when
+   * maxPending jobs are already waiting.
+   */
+  submit(task, options = {}) {
+    if (!options.immediate && this.pending.length >= this.maxPending) {
+      throw new QueueFullError(this.retryAfter);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: randomUUID(),
+      status: JOB_STATUS.QUEUED,
+      progress: null,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      requestId: options.requestId || null,
+      logger: options.logger || this.logger,
+      task,
+    };
+
+    this.jobs.set(job.id, job);
+
+    if (options.immediate) {
+      this.run(job);
+      return this.toPublic(job);
+    }
+
+    this.pending.push(job);
+    job.logger.info(`[JobQueue] Job ${job.id} queued (${this.pending.length} pending, ${this.running} running)`);
+
+    this.drain();
+    return this.toPublic(job);
+  }
+
+  /**
+   * Look up a job by ID. Returns null for unknown or expired jobs.
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.toPublic(job) : null;
+  }
+
+  /**
+   * Resolves with the public view of a job once it has succeeded or failed.
+   * Rejects for unknown or expired jobs.
+   */
+  waitFor(id) {
+    return new Promise((resolve, reject) => {
+      const job = this.jobs.get(id);
+      if (!job) return reject(new Error(`Job ${id} not found`));
+      if (isFinished(job)) return resolve(this.toPublic(job));
+
+      const onUpdate = (update) => {
+        if (update.id !== id || !isFinished(update)) return;
+        this.off("update", onUpdate);
+        resolve(update);
+      };
+      this.on("update", onUpdate);
+    });
+  }
+
+  /**
+   * Start as many pending jobs as the concurrency limit allows
+   */
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.run(job);
+    }
+  }
+
+  async run(job) {
+    this.running++;
+    this.update(job, { status: JOB_STATUS.RUNNING });
+    job.logger.info(`[JobQueue] Job ${job.id} started`);
+
+    try {
+      const result = await job.task((progress) => this.update(job, { progress }));
+      this.update(job, { status: JOB_STATUS.SUCCEEDED, result });
+      job.logger.info(`[JobQueue] Job ${job.id} succeeded`);
+    } catch (error) {
+      this.update(job, { status: JOB_STATUS.FAILED, error });
+      job.logger.error(`[JobQueue] Job ${job.id} failed: ${error.message}`);
+    } finally {
+      job.task = null;
+      this.running--;
+      this.drain();
+    }
+  }
+
+  update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.emit("update", this.toPublic(job));
+
+    // Jobs behind this one moved up a place
+    if (changes.status === JOB_STATUS.RUNNING) {
+      this.pending.forEach((pendingJob) => this.emit("update", this.toPublic(pendingJob)));
+    }
+  }
+
+  /**
+   * Queue position (1-based) of a queued job, or 0 if it is not waiting
+   */
+  positionOf(job) {
+    return this.pending.indexOf(job) + 1;
+  }
+
+  toPublic(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      position: job.status === JOB_STATUS.QUEUED ? this.positionOf(job) : 0,
+      progress: job.progress,
+      result: job.result,
+      error: job.error,
+      requestId: job.requestId,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+    };
+  }
+
+  /**
+   * Remove finished jobs older than the TTL
+   */
+  cleanup() {
+    const cutoff = Date.now() - this.jobTtl;
+    for (const [id, job] of this.jobs) {
+      if (isFinished(job) && Date.parse(job.updatedAt) < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  stats() {
+    return {
+      pending: this.pending.length,
+      running: this.running,
+      concurrency: this.concurrency,
+      maxPending: this.maxPending,
+      tracked: this.jobs.size,
+    };
+  }
+}
+
+export default TryOnJobQueue;
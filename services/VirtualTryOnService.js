@@ -1,47 +1,90 @@
 // services/VirtualTryOnService.js
-import axios from "axios";
-import { Client } from "@gradio/client";
 import fs from "fs";
 import path from "path";
 import os from "os";
 import { Buffer } from "buffer"; // Ensure Buffer is available
+import { createProvider, providerConfigFromEnv } from "./providers/index.js";
+import { resultCacheFromEnv } from "./ResultCache.js";
+import { DEFAULT_PARAMS } from "./tryOnParams.js";
+import { detectImageFormat } from "./ImageProcessor.js";
+import TryOnError, { ERROR_CODES, isBackendFailure } from "./TryOnError.js";
+import { CircuitOpenError } from "./CircuitBreaker.js";
+import { BackendStats } from "./HealthMonitor.js";
 
 class VirtualTryOnService {
   constructor(config = {}) {
-    this.gradioSpace = config.gradioSpace || "yisol/IDM-VTON";
-    this.hfToken = config.hfToken || process.env.HF_TOKEN;
     this.timeout = config.timeout || 180000; // Increased to 3 minutes
     this.logger = config.logger || console;
     this.retryAttempts = config.retryAttempts || 2;
-    this.client = null;
+    this.cache = config.cache || null; // Optional ResultCache
+    this.resultStore = config.resultStore || null; // Optional ResultStore hosting result images
+    this.stats = config.stats || new BackendStats(); // Outcomes and latencies of backend calls
+    this.metrics = config.metrics || null; // Optional Prometheus metrics (see tryOnMetrics.js)
+
+    // Accept a ready provider instance or a provider name plus its options
+    this.provider = config.provider && typeof config.provider === "object"
+      ? config.provider
+      : createProvider(config.provider || "gradio", {
+          hfToken: config.hfToken,
+          gradioSpace: config.gradioSpace,
+          logger: this.logger,
+          ...config.providerOptions,
+        });
+  }
 
-    if (!this.hfToken) {
-      this.logger.warn(
-        "WARNING: HF_TOKEN is not set. This is often required for persistent access to crowded spaces."
-      );
-    }
+  /**
+   * Name and model of the active backend, for health reporting
+   */
+  describeProvider() {
+    return this.provider.describe();
   }
 
   /**
-   * Initialize Gradio client (lazy loading)
+   * Every configured backend with its circuit breaker state, for health reporting
    */
-  async initializeClient() {
-    if (this.client) return;
+  describeBackends() {
+    return this.provider.describeBackends();
+  }
 
-    try {
-      this.logger.info(
-        `[VirtualTryOn] Initializing Gradio client for space: ${this.gradioSpace}`
-      );
-      this.client = await Client.connect(this.gradioSpace, {
-        hf_token: this.hfToken,
-      });
-      this.logger.info("[VirtualTryOn] Gradio client initialized successfully");
-    } catch (error) {
-      this.logger.error(
-        `[VirtualTryOn] Failed to initialize Gradio client: ${error.message}`
-      );
-      throw new Error(`AI service connection failed: ${error.message}`);
+  /**
+   * Garment categories the configured backend supports (see validateTryOnParams)
+   */
+  garmentCategories() {
+    return this.provider.garmentCategories;
+  }
+
+  /**
+   * Cache key for a request; includes the backend so switching providers does not serve stale results
+   */
+  cacheKeyFor(personImageBase64, garmentImageBase64, params) {
+    const { provider, model } = this.describeProvider();
+    return this.cache.keyFor(
+      this.base64ToBuffer(personImageBase64),
+      this.base64ToBuffer(garmentImageBase64),
+      params,
+      `${provider}:${model}`
+    );
+  }
+
+  /**
+   * The cached result for a request, shaped like processImage's, or null on a miss.
+   * Never calls the backend, so callers can run it outside the job queue.
+   * options: { params, logger }
+   */
+  async cachedResult(personImageBase64, garmentImageBase64, options = {}) {
+    if (!this.cache) return null;
+    const logger = options.logger || this.logger;
+    const cacheKey = this.cacheKeyFor(personImageBase64, garmentImageBase64, options.params || DEFAULT_PARAMS);
+    const cached = await this.cache.get(cacheKey);
+    if (!cached) return null;
+
+    logger.info("[VirtualTryOn] Returning cached result");
+    const hosted = await this.hostResult(cached, logger);
+    if (hosted.resultId && hosted.resultId !== cached.resultId) {
+      // Remember the new copy so later hits link it instead of storing another
+      await this.cache.set(cacheKey, { ...cached, resultId: hosted.resultId });
     }
+    return { ...hosted, cached: true, timestamp: new Date().toISOString() };
   }
 
   /**
@@ -68,8 +111,11 @@ class VirtualTryOnService {
     try {
       const buffer = this.base64ToBuffer(base64String);
       const tempDir = os.tmpdir();
+      // Name the file after its real format so providers can report the right MIME type
+      const detected = detectImageFormat(buffer);
+      const extension = detected ? detected.extension : "jpg";
       // Use unique names to prevent conflicts
-      const tempFile = path.join(tempDir, `vton-${prefix}-${Date.now()}-${Math.random().toString(36).substring(2, 9)}.jpg`);
+      const tempFile = path.join(tempDir, `vton-${prefix}-${Date.now()}-${Math.random().toString(36).substring(2, 9)}.${extension}`);
       fs.writeFileSync(tempFile, buffer);
       return tempFile;
     } catch (error) {
@@ -81,151 +127,225 @@ class VirtualTryOnService {
   /**
    * Clean up temporary files
    */
-  cleanupTempFile(filePath) {
+  cleanupTempFile(filePath, logger = this.logger) {
     try {
       if (filePath && fs.existsSync(filePath)) {
         fs.unlinkSync(filePath);
-        this.logger.info(`[VirtualTryOn] Cleaned up: ${filePath}`);
+        logger.info(`[VirtualTryOn] Cleaned up: ${filePath}`);
       }
     } catch (error) {
-      this.logger.warn(
+      logger.warn(
         `[VirtualTryOn] Failed to cleanup temp file ${filePath}: ${error.message}`
       );
     }
   }
 
   /**
-   * Call Gradio API with retry logic
+   * Forward a progress update to the caller, if it asked for one
    */
-  async callGradioAPI(personImagePath, garmentImagePath, attempt = 1) {
-    let timeoutId = null;
+  reportProgress(onProgress, update) {
+    if (!onProgress) return;
     try {
-      this.logger.info(
-        `[VirtualTryOn] Calling Gradio API (attempt ${attempt}/${this.retryAttempts})...`
-      );
+      onProgress({ ...update, timestamp: new Date().toISOString() });
+    } catch (error) {
+      this.logger.warn(`[VirtualTryOn] Progress callback failed: ${error.message}`);
+    }
+  }
 
-      await this.initializeClient();
+  /**
+   * Call the try-on provider with retry logic
+   * options: { params, onProgress, merchant, logger } where merchant is the metrics label and
+   * logger (e.g. a request's, carrying its requestId) replaces the service's logger for this call
+   */
+  async callBackend(personImagePath, garmentImagePath, options = {}, attempt = 1) {
+    const { params = DEFAULT_PARAMS, onProgress = null, merchant = "none" } = options;
+    const logger = options.logger || this.logger;
+    let timeoutId = null;
+    const abortController = new AbortController();
+    const attemptInfo = { attempt, maxAttempts: this.retryAttempts };
+    const started = Date.now();
+    const labels = { provider: this.provider.name, merchant };
+    let downloadStartedAt = null; // Splits inference time from result download time
+    if (this.metrics) this.metrics.backendInFlight.inc({ provider: labels.provider });
 
-      // Setup timeout for the prediction itself
-      const predictionPromise = this.client.predict("/tryon", {
-        dict: {
-          background: new File([fs.readFileSync(personImagePath)], path.basename(personImagePath), { type: "image/jpeg" }),
-          layers: [],
-          composite: null,
+    try {
+      logger.info(
+        `[VirtualTryOn] Calling ${this.provider.name} provider (attempt ${attempt}/${this.retryAttempts})...`
+      );
+      this.reportProgress(onProgress, { stage: "connecting", ...attemptInfo });
+
+      const predictionPromise = this.provider.tryOn({
+        personImagePath,
+        garmentImagePath,
+        params,
+        signal: abortController.signal,
+        logger,
+        reportProgress: (update) => {
+          if (update.stage === "downloading" && !downloadStartedAt) downloadStartedAt = Date.now();
+          this.reportProgress(onProgress, { ...update, ...attemptInfo });
         },
-        garm_img: new File([fs.readFileSync(garmentImagePath)], path.basename(garmentImagePath), { type: "image/jpeg" }),
-        garment_des: "Try-on",
-        is_checked: true, // is_upper
-        is_checked_crop: false, // is_outfit
-        denoise_steps: 30, // seed
-        seed: 42, // scale
       });
 
+      // Setup timeout for the prediction itself
       const timeoutPromise = new Promise((_, reject) => {
           timeoutId = setTimeout(() => {
-              reject(new Error('Gradio_Prediction_Timeout'));
+              reject(new TryOnError(ERROR_CODES.TIMEOUT));
           }, this.timeout);
       });
 
-      const result = await Promise.race([predictionPromise, timeoutPromise]);
+      const imageBuffer = await Promise.race([predictionPromise, timeoutPromise]);
       clearTimeout(timeoutId);
 
-      this.logger.info("[VirtualTryOn] Gradio API call succeeded");
-
-      // Extract image URL from result
-      let imageUrl = null;
-
-      if (result && Array.isArray(result.data) && result.data.length > 0) {
-        const firstResult = result.data[0];
-        if (firstResult && typeof firstResult === 'object') {
-          imageUrl = firstResult.url || firstResult.path;
-        } else if (typeof firstResult === 'string') {
-          imageUrl = firstResult;
-        }
+      logger.info(`[VirtualTryOn] Result image received successfully (${imageBuffer.length} bytes)`);
+      const finished = Date.now();
+      this.stats.recordSuccess(finished - started);
+      if (this.metrics) {
+        this.metrics.backendInFlight.dec({ provider: labels.provider });
+        this.metrics.backendCalls.inc({ ...labels, outcome: "succeeded", code: "none" });
+        this.metrics.inferenceSeconds.observe(labels, ((downloadStartedAt || finished) - started) / 1000);
+        if (downloadStartedAt) this.metrics.downloadSeconds.observe(labels, (finished - downloadStartedAt) / 1000);
+        this.metrics.imageBytes.observe({ image: "result", merchant }, imageBuffer.length);
       }
 
-      if (!imageUrl) {
-        this.logger.error(`[VirtualTryOn] Response structure: ${JSON.stringify(result, null, 2)}`);
-        throw new Error("Could not extract image URL from Gradio response");
-      }
-
-      this.logger.info(`[VirtualTryOn] Image URL extracted: ${imageUrl}`);
-
-      // Download the result image
-      const response = await axios.get(imageUrl, {
-        responseType: 'arraybuffer',
-        timeout: 30000,
-      });
-
-      const imageBuffer = Buffer.from(response.data);
-      this.logger.info(`[VirtualTryOn] Result image downloaded successfully (${imageBuffer.length} bytes)`);
-
       return imageBuffer;
     } catch (error) {
       if (timeoutId) clearTimeout(timeoutId);
+      // Let the provider stop work we have given up on
+      abortController.abort();
+      if (this.metrics) this.metrics.backendInFlight.dec({ provider: labels.provider });
 
-      this.logger.error(
+      logger.error(
         `[VirtualTryOn] API call error: ${error.message} (attempt ${attempt}/${this.retryAttempts})`
       );
 
-      if (attempt < this.retryAttempts && !error.message.includes('Gradio_Prediction_Timeout')) {
+      const tryOnError = this.classifyError(error);
+      if (tryOnError.code === ERROR_CODES.AUTH) {
+        // Shoppers only see that the service is unavailable; the fix is on our side
+        logger.error("[VirtualTryOn] The AI backend rejected our credentials. Check HF_TOKEN (or VTON_HTTP_API_KEY / VTON_GRADIO_TOKENS).");
+      }
+      // Invalid requests say nothing about the backend's health (see HealthMonitor.readiness)
+      if (isBackendFailure(tryOnError)) this.stats.recordFailure(tryOnError);
+      if (this.metrics) this.metrics.backendCalls.inc({ ...labels, outcome: "failed", code: tryOnError.code });
+
+      // A timeout already used the whole time budget, bad credentials will not fix themselves,
+      // and open breakers mean every backend is known to be down
+      const retryable = tryOnError.code !== ERROR_CODES.TIMEOUT && tryOnError.code !== ERROR_CODES.AUTH &&
+        !(tryOnError instanceof CircuitOpenError);
+      if (attempt < this.retryAttempts && retryable) {
         const delay = Math.pow(2, attempt) * 2000;
-        this.logger.info(`[VirtualTryOn] Retrying in ${delay}ms...`);
+        logger.info(`[VirtualTryOn] Retrying in ${delay}ms...`);
+        if (this.metrics) this.metrics.retries.inc({ ...labels, code: tryOnError.code });
+        this.reportProgress(onProgress, {
+          stage: "retrying",
+          attempt: attempt + 1,
+          maxAttempts: this.retryAttempts,
+          delay,
+          code: tryOnError.code,
+          message: error.message,
+        });
         await new Promise((resolve) => setTimeout(resolve, delay));
-        return this.callGradioAPI(personImagePath, garmentImagePath, attempt + 1);
+        return this.callBackend(personImagePath, garmentImagePath, options, attempt + 1);
       }
 
-      // Translate specific errors
-      let finalError = error.message;
-      if (finalError.includes('Gradio_Prediction_Timeout')) {
-        finalError = 'Processing timed out. The AI service may be overloaded or asleep.';
-      } else if (finalError.toLowerCase().includes('401') || finalError.toLowerCase().includes('unauthorized')) {
-        finalError = 'Authentication failed. Check HF_TOKEN.';
-      }
+      throw tryOnError;
+    }
+  }
 
-      throw new Error(finalError);
+  /**
+   * Map a provider failure onto a TryOnError with a stable code
+   */
+  classifyError(error) {
+    if (error instanceof TryOnError) return error;
+
+    const message = (error.message || "").toLowerCase();
+    const status = error.response && error.response.status;
+
+    if (status === 401 || status === 403 || message.includes("401") || message.includes("unauthorized")) {
+      return new TryOnError(ERROR_CODES.AUTH, null, { details: error.message });
+    }
+    if (
+      status === 502 || status === 503 ||
+      ["econnrefused", "enotfound", "econnreset", "sleeping", "paused", "503"].some((hint) => message.includes(hint))
+    ) {
+      return new TryOnError(ERROR_CODES.UPSTREAM_UNAVAILABLE, null, { details: error.message });
+    }
+    return new TryOnError(ERROR_CODES.UPSTREAM_ERROR, null, { details: error.message });
+  }
+
+  /**
+   * With a result store, swap a result's base64 image for the ID of a stored copy, reusing
+   * the copy a cache entry already points to. Without one, or when storing fails, the
+   * image stays inline. Resolves with { resultId } or { processedImage }, plus status.
+   */
+  async hostResult(entry, logger) {
+    if (!this.resultStore) return { processedImage: entry.processedImage, status: entry.status };
+    try {
+      if (entry.resultId && (await this.resultStore.has(entry.resultId))) {
+        return { resultId: entry.resultId, status: entry.status };
+      }
+      const resultId = await this.resultStore.save(this.base64ToBuffer(entry.processedImage));
+      return { resultId, status: entry.status };
+    } catch (error) {
+      logger.warn(`[VirtualTryOn] Could not store the result image; returning it as base64: ${error.message}`);
+      return { processedImage: entry.processedImage, status: entry.status };
     }
   }
 
   /**
    * Main method: Process virtual try-on
    * Now accepts two Base64 strings.
+   * options.params holds validated generation parameters (see tryOnParams.js).
+   * options.onProgress receives stage/queue/ETA/retry updates while the backend works.
+   * options.logger, if given, logs this try-on instead of the service's logger.
+   * Resolves with { status, cached, timestamp } and either resultId (with a result store,
+   * see hostResult) or processedImage (base64).
    */
-  async processImage(personImageBase64, garmentImageBase64) {
+  async processImage(personImageBase64, garmentImageBase64, options = {}) {
+    const logger = options.logger || this.logger;
     let personTempFile = null;
     let garmentTempFile = null;
 
     try {
-      this.logger.info("[VirtualTryOn] Starting virtual try-on processing...");
+      logger.info("[VirtualTryOn] Starting virtual try-on processing...");
 
       if (!personImageBase64 || !garmentImageBase64) {
-        throw new Error("Both personImageBase64 and garmentImageBase64 are required");
+        throw new TryOnError(ERROR_CODES.INVALID_REQUEST, "Both personImageBase64 and garmentImageBase64 are required");
       }
 
+      const cachedResult = await this.cachedResult(personImageBase64, garmentImageBase64, { ...options, logger });
+      if (cachedResult) return cachedResult;
+      const params = options.params || DEFAULT_PARAMS;
+      const cacheKey = this.cache ? this.cacheKeyFor(personImageBase64, garmentImageBase64, params) : null;
+
       // Convert both Base64 strings to temp files
       personTempFile = this.base64ToTempFile(personImageBase64, 'person');
       garmentTempFile = this.base64ToTempFile(garmentImageBase64, 'garment'); // Use second file for garment
 
-      // Call Gradio API
-      const resultBuffer = await this.callGradioAPI(personTempFile, garmentTempFile);
+      // Call the configured backend
+      const resultBuffer = await this.callBackend(personTempFile, garmentTempFile, options);
 
       // Convert result to base64
       const processedBase64 = this.bufferToBase64(resultBuffer);
 
-      this.logger.info("[VirtualTryOn] Processing completed successfully");
+      logger.info("[VirtualTryOn] Processing completed successfully");
+
+      const hosted = await this.hostResult({ processedImage: processedBase64, status: "success" }, logger);
+      if (cacheKey) {
+        await this.cache.set(cacheKey, { processedImage: processedBase64, status: "success", resultId: hosted.resultId });
+      }
 
       return {
-        processedImage: processedBase64,
-        status: "success",
+        ...hosted,
+        cached: false,
         timestamp: new Date().toISOString(),
       };
     } catch (error) {
-      this.logger.error(`[VirtualTryOn] Processing failed: ${error.message}`);
+      logger.error(`[VirtualTryOn] Processing failed: ${error.message}`);
       throw error;
     } finally {
       // Cleanup temp files
-      this.cleanupTempFile(personTempFile);
-      this.cleanupTempFile(garmentTempFile);
+      this.cleanupTempFile(personTempFile, logger);
+      this.cleanupTempFile(garmentTempFile, logger);
     }
   }
 
@@ -234,8 +354,8 @@ class VirtualTryOnService {
    */
   async healthCheck() {
     try {
-      this.logger.info("[VirtualTryOn] Performing health check...");
-      await this.initializeClient();
+      this.logger.info(`[VirtualTryOn] Performing health check (${this.provider.name} provider)...`);
+      await this.provider.healthCheck();
       this.logger.info("[VirtualTryOn] Health check: OK");
       return true;
     } catch (error) {
@@ -245,4 +365,20 @@ class VirtualTryOnService {
   }
 }
 
+/**
+ * Create a VirtualTryOnService with the provider and cache configured in environment variables
+ * @param {object} [options] - Extra constructor config (e.g. logger)
+ */
+export const tryOnServiceFromEnv = (env = process.env, options = {}) => {
+  const { name, config } = providerConfigFromEnv(env);
+  return new VirtualTryOnService({
+    provider: name,
+    providerOptions: config,
+    cache: resultCacheFromEnv(env, { logger: options.logger }),
+    timeout: 180000,
+    retryAttempts: 2,
+    ...options,
+  });
+};
+
 export default VirtualTryOnService;
\ No newline at end of file
@@ -0,0 +1,90 @@
+// services/batchRequest.js
+import { validateTryOnParams } from "./tryOnParams.js";
+
+// Generation parameters a garment entry may set for itself (overriding the batch-wide ones)
+const GARMENT_PARAM_NAMES = ["garmentDescription", "garmentCategory", "autoCrop", "denoiseSteps", "seed"];
+
+/**
+ * Normalize one image entry: a URL string, or { id?, imageUrl | imageBase64, ...params }.
+ * Returns null when it names no image.
+ */
+const readImageEntry = (entry, index) => {
+  if (typeof entry === "string" && entry) return { id: String(index), imageUrl: entry };
+  if (!entry || typeof entry !== "object" || (!entry.imageUrl && !entry.imageBase64)) return null;
+  return { ...entry, id: entry.id !== undefined && entry.id !== null ? String(entry.id) : String(index) };
+};
+
+/**
+ * Validate a batch request and expand it into items.
+ *
+ * Body: { person | persons: [...], garments: [...], concurrency?, ...generation params }.
+ * Every person is paired with every garment (one person and N garments, or an N x M matrix).
+ * Returns { persons, garments, items, concurrency, errors }; `errors` is empty when the
+ * input is valid. Items are { personIndex, garmentIndex, personId, garmentId, params }.
+ * garmentCategories is passed on to validateTryOnParams.
+ */
+export const validateBatchRequest = (input = {}, { maxItems = 100, maxConcurrency = 2, garmentCategories } = {}) => {
+  const errors = [];
+  const rawPersons = Array.isArray(input.persons) ? input.persons : input.person ? [input.person] : [];
+  const rawGarments = Array.isArray(input.garments) ? input.garments : [];
+
+  const readAll = (entries, name) =>
+    entries.map((entry, index) => {
+      const image = readImageEntry(entry, index);
+      if (!image) errors.push(`${name}[${index}] needs an imageUrl or imageBase64.`);
+      return image;
+    });
+
+  const persons = readAll(rawPersons, "persons");
+  const garments = readAll(rawGarments, "garments");
+
+  if (persons.length === 0) errors.push("At least one person image is required (person or persons).");
+  if (garments.length === 0) errors.push("At least one garment image is required (garments).");
+
+  const count = persons.length * garments.length;
+  if (count > maxItems) {
+    errors.push(`A batch may contain at most ${maxItems} try-ons (${count} requested).`);
+  }
+
+  let concurrency = 1;
+  if (input.concurrency !== undefined && input.concurrency !== null && input.concurrency !== "") {
+    const requested = Number(input.concurrency);
+    if (!Number.isInteger(requested) || requested < 1) {
+      errors.push("concurrency must be a positive integer.");
+    } else {
+      concurrency = Math.min(requested, maxConcurrency);
+    }
+  }
+
+  // Batch-wide parameters, overridden per garment
+  const paramOptions = { garmentCategories };
+  errors.push(...validateTryOnParams(input, paramOptions).errors);
+  const garmentParams = garments.map((garment, index) => {
+    if (!garment) return null;
+    const overrides = {};
+    GARMENT_PARAM_NAMES.forEach((name) => {
+      if (garment[name] !== undefined) overrides[name] = garment[name];
+    });
+    validateTryOnParams(overrides, paramOptions).errors.forEach((error) => errors.push(`garments[${index}]: ${error}`));
+    return validateTryOnParams({ ...input, ...overrides }, paramOptions).params;
+  });
+
+  if (errors.length > 0) {
+    return { persons, garments, items: [], concurrency, errors };
+  }
+
+  const items = [];
+  persons.forEach((person, personIndex) => {
+    garments.forEach((garment, garmentIndex) => {
+      items.push({
+        personIndex,
+        garmentIndex,
+        personId: person.id,
+        garmentId: garment.id,
+        params: garmentParams[garmentIndex],
+      });
+    });
+  });
+
+  return { persons, garments, items, concurrency, errors };
+};
@@ -0,0 +1,292 @@
+// services/i18n.js
+
+export const DEFAULT_LOCALE = "en";
+
+/**
+ * User-facing server messages per locale.
+ *
+ * Keys are either an error code (the generic message for that code) or a more
+ * specific message key set on a TryOnError. {name} placeholders are filled from
+ * the error's messageParams; "term.*" entries translate parameter values such
+ * as the image label ("person" / "garment").
+ */
+export const MESSAGES = {
+  en: {
+    VTON_TIMEOUT: "Processing timed out. The AI service may be overloaded or asleep. Please try again.",
+    VTON_AUTH: "The virtual try-on service is temporarily unavailable.",
+    VTON_UPSTREAM_UNAVAILABLE: "AI service is unavailable or inaccessible. Please try again later.",
+    VTON_UPSTREAM_ERROR: "The AI service failed to generate the try-on image. Please try again.",
+    VTON_INVALID_IMAGE: "The image could not be used. Please upload a JPEG, PNG or WebP photo.",
+    VTON_INVALID_REQUEST: "The request is missing required fields or has invalid values.",
+    VTON_IMAGE_FETCH: "The image URL could not be used.",
+    VTON_PAYLOAD_TOO_LARGE: "The upload is too large.",
+    VTON_UNAUTHORIZED: "A valid API key is required.",
+    VTON_FORBIDDEN: "This API key may not be used for this request.",
+    VTON_RATE_LIMITED: "Too many try-on requests. Please wait a moment and try again.",
+    VTON_QUOTA: "The AI service daily quota appears to be full or the service is overloaded. Please try again later.",
+    VTON_JOB_NOT_FOUND: "Job not found or expired.",
+    VTON_INTERNAL: "Failed to process image. An internal error occurred.",
+
+    "request.missingImages":
+      "Both person and garment images are required: upload \"person\" and \"garment\" files, send personImageBase64 (Your Photo) and garmentImageBase64 (Cloth Photo), or personImageUrl and garmentImageUrl.",
+    "request.invalidParams": "Some try-on parameters are invalid (see errors).",
+    "request.queueFailed": "Failed to queue the try-on request.",
+    "request.queueFull": "Too many try-ons are waiting. Please try again in {seconds} seconds.",
+    "request.invalidBatch": "The batch request is invalid (see errors).",
+    "batch.notFound": "Batch not found or expired.",
+    "result.notFound": "Result not found or expired.",
+    "result.linkInvalid": "This result link is invalid or has expired.",
+    "upstream.circuitOpen": "The AI service is temporarily unavailable. Please try again in {seconds} seconds.",
+    "upload.tooLarge": "The {label} image is larger than the {limit}MB limit.",
+    "upload.unsupportedType": "Unsupported image type \"{type}\" for {label}. Use JPEG, PNG or WebP.",
+    "image.empty": "The {label} image is empty.",
+    "image.unsupportedFormat": "The {label} image is not a supported format. Use JPEG, PNG or WebP.",
+    "image.unreadable": "The {label} image could not be read ({reason}).",
+    "image.noDimensions": "The {label} image has no readable dimensions.",
+    "image.tooSmall": "The {label} image is too small ({width}x{height}). Use at least {min}px on the shortest side.",
+    "image.tooLarge": "The {label} image is too large ({width}x{height}). The longest side may be at most {max}px.",
+    "image.tooManyPixels": "The {label} image exceeds {max} megapixels.",
+    "fetch.invalidUrl": "The {label} image URL must be a plain http(s) URL on the default port.",
+    "fetch.hostNotAllowed": "Images from {host} are not allowed. Add the host to the API key's allowedImageHosts.",
+    "fetch.privateAddress": "The {label} image URL points to a private or local network address.",
+    "fetch.tooManyRedirects": "The {label} image URL redirected more than {max} times.",
+    "fetch.failed": "The {label} image could not be downloaded ({reason}).",
+    "fetch.notImage": "The {label} image URL returned \"{type}\" instead of a JPEG, PNG or WebP image.",
+    "auth.keyRequired": "An API key is required. Send it in the X-API-Key header.",
+    "auth.invalidKey": "Invalid API key.",
+    "auth.keyDisabled": "This API key has been disabled.",
+    "auth.originNotAllowed": "Origin {origin} is not allowed for this API key.",
+  },
+
+  es: {
+    VTON_TIMEOUT: "El procesamiento tardó demasiado. Es posible que el servicio de IA esté saturado o en reposo. Inténtalo de nuevo.",
+    VTON_AUTH: "El servicio de prueba virtual no está disponible temporalmente.",
+    VTON_UPSTREAM_UNAVAILABLE: "El servicio de IA no está disponible en este momento. Inténtalo más tarde.",
+    VTON_UPSTREAM_ERROR: "El servicio de IA no pudo generar la imagen de prueba. Inténtalo de nuevo.",
+    VTON_INVALID_IMAGE: "No se pudo usar la imagen. Sube una foto JPEG, PNG o WebP.",
+    VTON_INVALID_REQUEST: "Faltan campos obligatorios en la solicitud o tienen valores no válidos.",
+    VTON_IMAGE_FETCH: "No se pudo usar la URL de la imagen.",
+    VTON_PAYLOAD_TOO_LARGE: "El archivo es demasiado grande.",
+    VTON_UNAUTHORIZED: "Se necesita una clave de API válida.",
+    VTON_FORBIDDEN: "Esta clave de API no puede usarse para esta solicitud.",
+    VTON_RATE_LIMITED: "Demasiadas solicitudes de prueba. Espera un momento e inténtalo de nuevo.",
+    VTON_QUOTA: "Se ha alcanzado el límite diario del servicio de IA o está saturado. Inténtalo más tarde.",
+    VTON_JOB_NOT_FOUND: "La tarea no existe o ha caducado.",
+    VTON_INTERNAL: "No se pudo procesar la imagen por un error interno.",
+
+    "request.missingImages": "Se necesitan la foto de la persona y la de la prenda.",
+    "request.invalidParams": "Algunos parámetros de la prueba no son válidos (ver errors).",
+    "request.queueFailed": "No se pudo poner en cola la solicitud de prueba.",
+    "request.queueFull": "Hay demasiadas pruebas en espera. Inténtalo de nuevo en {seconds} segundos.",
+    "request.invalidBatch": "La solicitud de lote no es válida (ver errors).",
+    "batch.notFound": "El lote no existe o ha caducado.",
+    "result.notFound": "El resultado no existe o ha caducado.",
+    "result.linkInvalid": "Este enlace al resultado no es válido o ha caducado.",
+    "upstream.circuitOpen": "El servicio de IA no está disponible temporalmente. Inténtalo de nuevo en {seconds} segundos.",
+    "upload.tooLarge": "La imagen ({label}) supera el límite de {limit} MB.",
+    "upload.unsupportedType": "Tipo de imagen no admitido \"{type}\" ({label}). Usa JPEG, PNG o WebP.",
+    "image.empty": "La imagen ({label}) está vacía.",
+    "image.unsupportedFormat": "La imagen ({label}) no tiene un formato admitido. Usa JPEG, PNG o WebP.",
+    "image.unreadable": "No se pudo leer la imagen ({label}).",
+    "image.noDimensions": "La imagen ({label}) no tiene dimensiones legibles.",
+    "image.tooSmall": "La imagen ({label}) es demasiado pequeña ({width}x{height}). El lado más corto debe medir al menos {min} px.",
+    "image.tooLarge": "La imagen ({label}) es demasiado grande ({width}x{height}). El lado más largo puede medir como máximo {max} px.",
+    "image.tooManyPixels": "La imagen ({label}) supera los {max} megapíxeles.",
+    "fetch.invalidUrl": "La URL de la imagen ({label}) debe ser una URL http(s) sencilla en el puerto predeterminado.",
+    "fetch.hostNotAllowed": "No se permiten imágenes de {host}.",
+    "fetch.privateAddress": "La URL de la imagen ({label}) apunta a una dirección de red privada o local.",
+    "fetch.tooManyRedirects": "La URL de la imagen ({label}) redirigió más de {max} veces.",
+    "fetch.failed": "No se pudo descargar la imagen ({label}).",
+    "fetch.notImage": "La URL de la imagen ({label}) no devolvió una imagen JPEG, PNG o WebP.",
+    "auth.keyRequired": "Se necesita una clave de API. Envíala en la cabecera X-API-Key.",
+    "auth.invalidKey": "Clave de API no válida.",
+    "auth.keyDisabled": "Esta clave de API está desactivada.",
+    "auth.originNotAllowed": "El origen {origin} no está permitido para esta clave de API.",
+    "term.person": "persona",
+    "term.garment": "prenda",
+    "term.image": "imagen",
+  },
+
+  fr: {
+    VTON_TIMEOUT: "Le traitement a pris trop de temps. Le service d'IA est peut-être surchargé ou en veille. Veuillez réessayer.",
+    VTON_AUTH: "L'essayage virtuel est temporairement indisponible.",
+    VTON_UPSTREAM_UNAVAILABLE: "Le service d'IA est indisponible pour le moment. Veuillez réessayer plus tard.",
+    VTON_UPSTREAM_ERROR: "Le service d'IA n'a pas pu générer l'image d'essayage. Veuillez réessayer.",
+    VTON_INVALID_IMAGE: "L'image n'a pas pu être utilisée. Envoyez une photo JPEG, PNG ou WebP.",
+    VTON_INVALID_REQUEST: "Des champs obligatoires de la requête sont absents ou invalides.",
+    VTON_IMAGE_FETCH: "L'URL de l'image n'a pas pu être utilisée.",
+    VTON_PAYLOAD_TOO_LARGE: "Le fichier envoyé est trop volumineux.",
+    VTON_UNAUTHORIZED: "Une clé d'API valide est requise.",
+    VTON_FORBIDDEN: "Cette clé d'API ne peut pas être utilisée pour cette requête.",
+    VTON_RATE_LIMITED: "Trop de demandes d'essayage. Patientez un instant puis réessayez.",
+    VTON_QUOTA: "Le quota journalier du service d'IA semble atteint ou le service est surchargé. Veuillez réessayer plus tard.",
+    VTON_JOB_NOT_FOUND: "Tâche introuvable ou expirée.",
+    VTON_INTERNAL: "Impossible de traiter l'image à cause d'une erreur interne.",
+
+    "request.missingImages": "La photo de la personne et celle du vêtement sont obligatoires.",
+    "request.invalidParams": "Certains paramètres d'essayage sont invalides (voir errors).",
+    "request.queueFailed": "Impossible de mettre la demande d'essayage en file d'attente.",
+    "request.queueFull": "Trop d'essayages sont en attente. Veuillez réessayer dans {seconds} secondes.",
+    "request.invalidBatch": "La requête de lot est invalide (voir errors).",
+    "batch.notFound": "Lot introuvable ou expiré.",
+    "result.notFound": "Résultat introuvable ou expiré.",
+    "result.linkInvalid": "Ce lien vers le résultat est invalide ou a expiré.",
+    "upstream.circuitOpen": "Le service d'IA est temporairement indisponible. Veuillez réessayer dans {seconds} secondes.",
+    "upload.tooLarge": "L'image ({label}) dépasse la limite de {limit} Mo.",
+    "upload.unsupportedType": "Type d'image non pris en charge « {type} » ({label}). Utilisez JPEG, PNG ou WebP.",
+    "image.empty": "L'image ({label}) est vide.",
+    "image.unsupportedFormat": "Le format de l'image ({label}) n'est pas pris en charge. Utilisez JPEG, PNG ou WebP.",
+    "image.unreadable": "L'image ({label}) n'a pas pu être lue.",
+    "image.noDimensions": "Les dimensions de l'image ({label}) sont illisibles.",
+    "image.tooSmall": "L'image ({label}) est trop petite ({width}x{height}). Le plus petit côté doit mesurer au moins {min} px.",
+    "image.tooLarge": "L'image ({label}) est trop grande ({width}x{height}). Le plus grand côté peut mesurer au plus {max} px.",
+    "image.tooManyPixels": "L'image ({label}) dépasse {max} mégapixels.",
+    "fetch.invalidUrl": "L'URL de l'image ({label}) doit être une simple URL http(s) sur le port par défaut.",
+    "fetch.hostNotAllowed": "Les images de {host} ne sont pas autorisées.",
+    "fetch.privateAddress": "L'URL de l'image ({label}) pointe vers une adresse réseau privée ou locale.",
+    "fetch.tooManyRedirects": "L'URL de l'image ({label}) a été redirigée plus de {max} fois.",
+    "fetch.failed": "L'image ({label}) n'a pas pu être téléchargée.",
+    "fetch.notImage": "L'URL de l'image ({label}) n'a pas renvoyé d'image JPEG, PNG ou WebP.",
+    "auth.keyRequired": "Une clé d'API est requise. Envoyez-la dans l'en-tête X-API-Key.",
+    "auth.invalidKey": "Clé d'API invalide.",
+    "auth.keyDisabled": "Cette clé d'API a été désactivée.",
+    "auth.originNotAllowed": "L'origine {origin} n'est pas autorisée pour cette clé d'API.",
+    "term.person": "personne",
+    "term.garment": "vêtement",
+    "term.image": "image",
+  },
+
+  de: {
+    VTON_TIMEOUT: "Die Verarbeitung hat zu lange gedauert. Der KI-Dienst ist möglicherweise überlastet oder im Ruhezustand. Bitte versuche es erneut.",
+    VTON_AUTH: "Die virtuelle Anprobe ist vorübergehend nicht verfügbar.",
+    VTON_UPSTREAM_UNAVAILABLE: "Der KI-Dienst ist derzeit nicht erreichbar. Bitte versuche es später erneut.",
+    VTON_UPSTREAM_ERROR: "Der KI-Dienst konnte das Anprobe-Bild nicht erstellen. Bitte versuche es erneut.",
+    VTON_INVALID_IMAGE: "Das Bild konnte nicht verwendet werden. Bitte lade ein JPEG-, PNG- oder WebP-Foto hoch.",
+    VTON_INVALID_REQUEST: "In der Anfrage fehlen Pflichtfelder oder sie enthält ungültige Werte.",
+    VTON_IMAGE_FETCH: "Die Bild-URL konnte nicht verwendet werden.",
+    VTON_PAYLOAD_TOO_LARGE: "Die hochgeladene Datei ist zu groß.",
+    VTON_UNAUTHORIZED: "Ein gültiger API-Schlüssel ist erforderlich.",
+    VTON_FORBIDDEN: "Dieser API-Schlüssel darf für diese Anfrage nicht verwendet werden.",
+    VTON_RATE_LIMITED: "Zu viele Anprobe-Anfragen. Bitte warte einen Moment und versuche es erneut.",
+    VTON_QUOTA: "Das Tageskontingent des KI-Dienstes scheint ausgeschöpft oder der Dienst ist überlastet. Bitte versuche es später erneut.",
+    VTON_JOB_NOT_FOUND: "Auftrag nicht gefunden oder abgelaufen.",
+    VTON_INTERNAL: "Das Bild konnte wegen eines internen Fehlers nicht verarbeitet werden.",
+
+    "request.missingImages": "Ein Foto der Person und ein Foto des Kleidungsstücks sind erforderlich.",
+    "request.invalidParams": "Einige Anprobe-Parameter sind ungültig (siehe errors).",
+    "request.queueFailed": "Die Anprobe-Anfrage konnte nicht eingereiht werden.",
+    "request.queueFull": "Zu viele Anproben warten gerade. Bitte versuche es in {seconds} Sekunden erneut.",
+    "request.invalidBatch": "Die Batch-Anfrage ist ungültig (siehe errors).",
+    "batch.notFound": "Batch nicht gefunden oder abgelaufen.",
+    "result.notFound": "Ergebnis nicht gefunden oder abgelaufen.",
+    "result.linkInvalid": "Dieser Link zum Ergebnis ist ungültig oder abgelaufen.",
+    "upstream.circuitOpen": "Der KI-Dienst ist vorübergehend nicht erreichbar. Bitte versuche es in {seconds} Sekunden erneut.",
+    "upload.tooLarge": "Das Bild ({label}) überschreitet das Limit von {limit} MB.",
+    "upload.unsupportedType": "Nicht unterstützter Bildtyp „{type}“ ({label}). Verwende JPEG, PNG oder WebP.",
+    "image.empty": "Das Bild ({label}) ist leer.",
+    "image.unsupportedFormat": "Das Bild ({label}) hat kein unterstütztes Format. Verwende JPEG, PNG oder WebP.",
+    "image.unreadable": "Das Bild ({label}) konnte nicht gelesen werden.",
+    "image.noDimensions": "Die Abmessungen des Bildes ({label}) sind nicht lesbar.",
+    "image.tooSmall": "Das Bild ({label}) ist zu klein ({width}x{height}). Die kürzere Seite muss mindestens {min} px lang sein.",
+    "image.tooLarge": "Das Bild ({label}) ist zu groß ({width}x{height}). Die längere Seite darf höchstens {max} px lang sein.",
+    "image.tooManyPixels": "Das Bild ({label}) überschreitet {max} Megapixel.",
+    "fetch.invalidUrl": "Die Bild-URL ({label}) muss eine einfache http(s)-URL auf dem Standardport sein.",
+    "fetch.hostNotAllowed": "Bilder von {host} sind nicht zugelassen.",
+    "fetch.privateAddress": "Die Bild-URL ({label}) verweist auf eine private oder lokale Netzwerkadresse.",
+    "fetch.tooManyRedirects": "Die Bild-URL ({label}) wurde mehr als {max}-mal umgeleitet.",
+    "fetch.failed": "Das Bild ({label}) konnte nicht heruntergeladen werden.",
+    "fetch.notImage": "Die Bild-URL ({label}) hat kein JPEG-, PNG- oder WebP-Bild geliefert.",
+    "auth.keyRequired": "Ein API-Schlüssel ist erforderlich. Sende ihn im Header X-API-Key.",
+    "auth.invalidKey": "Ungültiger API-Schlüssel.",
+    "auth.keyDisabled": "Dieser API-Schlüssel wurde deaktiviert.",
+    "auth.originNotAllowed": "Der Ursprung {origin} ist für diesen API-Schlüssel nicht zugelassen.",
+    "term.person": "Person",
+    "term.garment": "Kleidungsstück",
+    "term.image": "Bild",
+  },
+
+  hi: {
+    VTON_TIMEOUT: "प्रोसेसिंग में बहुत अधिक समय लग गया। AI सेवा व्यस्त या निष्क्रिय हो सकती है। कृपया फिर से प्रयास करें।",
+    VTON_AUTH: "वर्चुअल ट्राई-ऑन अस्थायी रूप से उपलब्ध नहीं है।",
+    VTON_UPSTREAM_UNAVAILABLE: "AI सेवा अभी उपलब्ध नहीं है। कृपया बाद में प्रयास करें।",
+    VTON_UPSTREAM_ERROR: "AI सेवा ट्राई-ऑन इमेज नहीं बना सकी। कृपया फिर से प्रयास करें।",
+    VTON_INVALID_IMAGE: "इस इमेज का उपयोग नहीं किया जा सका। कृपया JPEG, PNG या WebP फ़ोटो अपलोड करें।",
+    VTON_INVALID_REQUEST: "अनुरोध में आवश्यक फ़ील्ड नहीं हैं या उनके मान अमान्य हैं।",
+    VTON_IMAGE_FETCH: "इमेज URL का उपयोग नहीं किया जा सका।",
+    VTON_PAYLOAD_TOO_LARGE: "अपलोड की गई फ़ाइल बहुत बड़ी है।",
+    VTON_UNAUTHORIZED: "एक मान्य API कुंजी आवश्यक है।",
+    VTON_FORBIDDEN: "इस API कुंजी का उपयोग इस अनुरोध के लिए नहीं किया जा सकता।",
+    VTON_RATE_LIMITED: "बहुत अधिक ट्राई-ऑन अनुरोध। कृपया कुछ देर रुककर फिर से प्रयास करें।",
+    VTON_QUOTA: "AI सेवा का दैनिक कोटा पूरा हो गया है या सेवा व्यस्त है। कृपया बाद में प्रयास करें।",
+    VTON_JOB_NOT_FOUND: "कार्य नहीं मिला या उसकी अवधि समाप्त हो गई।",
+    VTON_INTERNAL: "आंतरिक त्रुटि के कारण इमेज प्रोसेस नहीं हो सकी।",
+
+    "request.missingImages": "व्यक्ति और कपड़े दोनों की फ़ोटो आवश्यक हैं।",
+    "request.invalidParams": "कुछ ट्राई-ऑन पैरामीटर अमान्य हैं (errors देखें)।",
+    "request.queueFailed": "ट्राई-ऑन अनुरोध को कतार में नहीं जोड़ा जा सका।",
+    "request.queueFull": "बहुत सारे ट्राई-ऑन प्रतीक्षा में हैं। कृपया {seconds} सेकंड बाद फिर से प्रयास करें।",
+    "request.invalidBatch": "बैच अनुरोध अमान्य है (errors देखें)।",
+    "batch.notFound": "बैच नहीं मिला या उसकी अवधि समाप्त हो गई।",
+    "result.notFound": "परिणाम नहीं मिला या उसकी अवधि समाप्त हो गई।",
+    "result.linkInvalid": "यह परिणाम लिंक अमान्य है या इसकी अवधि समाप्त हो गई है।",
+    "upstream.circuitOpen": "AI सेवा अस्थायी रूप से उपलब्ध नहीं है। कृपया {seconds} सेकंड बाद फिर से प्रयास करें।",
+    "upload.tooLarge": "इमेज ({label}) {limit}MB की सीमा से बड़ी है।",
+    "upload.unsupportedType": "असमर्थित इमेज प्रकार \"{type}\" ({label})। JPEG, PNG या WebP का उपयोग करें।",
+    "image.empty": "इमेज ({label}) खाली है।",
+    "image.unsupportedFormat": "इमेज ({label}) का फ़ॉर्मेट समर्थित नहीं है। JPEG, PNG या WebP का उपयोग करें।",
+    "image.unreadable": "इमेज ({label}) पढ़ी नहीं जा सकी।",
+    "image.noDimensions": "इमेज ({label}) के आयाम पढ़े नहीं जा सके।",
+    "image.tooSmall": "इमेज ({label}) बहुत छोटी है ({width}x{height})। छोटी भुजा कम से कम {min}px होनी चाहिए।",
+    "image.tooLarge": "इमेज ({label}) बहुत बड़ी है ({width}x{height})। बड़ी भुजा अधिकतम {max}px हो सकती है।",
+    "image.tooManyPixels": "इमेज ({label}) {max} मेगापिक्सेल से अधिक है।",
+    "fetch.invalidUrl": "इमेज ({label}) का URL डिफ़ॉल्ट पोर्ट पर एक साधारण http(s) URL होना चाहिए।",
+    "fetch.hostNotAllowed": "{host} से इमेज की अनुमति नहीं है।",
+    "fetch.privateAddress": "इमेज ({label}) का URL किसी निजी या लोकल नेटवर्क पते की ओर इशारा करता है।",
+    "fetch.tooManyRedirects": "इमेज ({label}) का URL {max} से अधिक बार रीडायरेक्ट हुआ।",
+    "fetch.failed": "इमेज ({label}) डाउनलोड नहीं हो सकी।",
+    "fetch.notImage": "इमेज ({label}) के URL से JPEG, PNG या WebP इमेज नहीं मिली।",
+    "auth.keyRequired": "API कुंजी आवश्यक है। इसे X-API-Key हेडर में भेजें।",
+    "auth.invalidKey": "अमान्य API कुंजी।",
+    "auth.keyDisabled": "यह API कुंजी निष्क्रिय कर दी गई है।",
+    "auth.originNotAllowed": "इस API कुंजी के लिए ऑरिजिन {origin} की अनुमति नहीं है।",
+    "term.person": "व्यक्ति",
+    "term.garment": "कपड़ा",
+    "term.image": "इमेज",
+  },
+};
+
+export const SUPPORTED_LOCALES = Object.keys(MESSAGES);
+
+/**
+ * Look up a message in one locale only. Returns null when that locale has no entry,
+ * so callers can choose their own fallback.
+ */
+export const lookupMessage = (locale, key, params = {}) => {
+  const catalog = MESSAGES[locale];
+  const template = catalog && catalog[key];
+  if (!template) return null;
+
+  let emptied = false;
+  const message = template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (params[name] === undefined || params[name] === null) return placeholder;
+    const value = String(params[name]);
+    if (!value) emptied = true;
+    return catalog[`term.${value}`] || value;
+  });
+  // An empty value (e.g. an image without a label) leaves "The  image" or "imagen ()" behind
+  return emptied ? message.replace(/\s*\(\s*\)/g, "").replace(/ {2,}/g, " ") : message;
+};
+
+/**
+ * Message in the given locale, falling back to English and finally to the key itself
+ */
+export const translate = (locale, key, params = {}) =>
+  lookupMessage(locale, key, params) || lookupMessage(DEFAULT_LOCALE, key, params) || key;
+
+/**
+ * Best supported locale for a request, from its Accept-Language header
+ */
+export const negotiateLocale = (req) => {
+  if (!req || typeof req.acceptsLanguages !== "function") return DEFAULT_LOCALE;
+  return req.acceptsLanguages(...SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+};
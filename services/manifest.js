@@ -0,0 +1,118 @@
+// services/manifest.js
+import { validateTryOnParams } from "./tryOnParams.js";
+
+const PARAM_COLUMNS = ["garmentDescription", "garmentCategory", "autoCrop", "denoiseSteps", "seed"];
+const COLUMNS = ["id", "person", "garment", "out", ...PARAM_COLUMNS];
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF) into rows of strings.
+ * Blank lines are skipped, so each row carries the 1-based physical `line` it starts on
+ * (quoted fields may span lines). Returns { rows: [{ line, cells }], errors }; an
+ * unterminated quote is an error.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  const errors = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  let quoteLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== "") rows.push({ line: rowLine, cells: row });
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const newline = char === "\n" || char === "\r";
+    if (char === "\r" && text[i + 1] === "\n") i++; // CRLF is one line break
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += newline ? "\n" : char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+      quoteLine = line;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (newline) {
+      endRow();
+    } else {
+      field += char;
+    }
+
+    if (newline) {
+      line++;
+      if (!quoted) rowLine = line;
+    }
+  }
+  if (quoted) errors.push(`Line ${quoteLine}: a quoted field is never closed.`);
+  else if (field !== "" || row.length > 0) endRow();
+
+  return { rows, errors };
+};
+
+/**
+ * Validate a try-on manifest and expand it into items.
+ *
+ * The first row is a header naming the columns (case-insensitive): person and garment
+ * (image paths or URLs) are required; id, out and the generation parameters
+ * (garmentDescription, garmentCategory, autoCrop, denoiseSteps, seed) are optional.
+ * Empty parameter cells fall back to `defaults`; garmentCategories limits the categories
+ * rows may use (see validateTryOnParams).
+ *
+ * Returns { items, errors }; `errors` is empty when the manifest is valid. Items are
+ * { line, id, person, garment, out, params }, where `out` is the column value or null.
+ */
+export const readManifest = (text, { defaults = {}, garmentCategories } = {}) => {
+  const { rows: [header = { cells: [] }, ...rows], errors } = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (errors.length > 0) return { items: [], errors };
+
+  const columns = header.cells.map((name) => {
+    const column = COLUMNS.find((known) => known.toLowerCase() === name.trim().toLowerCase());
+    if (!column) errors.push(`Unknown column "${name.trim()}". Expected: ${COLUMNS.join(", ")}.`);
+    return column;
+  });
+  ["person", "garment"].forEach((name) => {
+    if (!columns.includes(name)) errors.push(`The manifest needs a "${name}" column.`);
+  });
+  if (rows.length === 0) errors.push("The manifest has no rows.");
+  if (errors.length > 0) return { items: [], errors };
+
+  const ids = new Set();
+  const items = rows.map(({ line, cells }) => {
+    const row = {};
+    columns.forEach((column, i) => {
+      row[column] = (cells[i] || "").trim();
+    });
+
+    if (!row.person || !row.garment) errors.push(`Line ${line}: person and garment are required.`);
+
+    const id = row.id || `row-${line}`;
+    if (ids.has(id)) errors.push(`Line ${line}: duplicate id "${id}".`);
+    ids.add(id);
+
+    const overrides = {};
+    PARAM_COLUMNS.forEach((name) => {
+      if (row[name]) overrides[name] = row[name];
+    });
+    const { params, errors: paramErrors } = validateTryOnParams({ ...defaults, ...overrides }, { garmentCategories });
+    paramErrors.forEach((error) => errors.push(`Line ${line}: ${error}`));
+
+    return { line, id, person: row.person, garment: row.garment, out: row.out || null, params };
+  });
+
+  return { items: errors.length > 0 ? [] : items, errors };
+};
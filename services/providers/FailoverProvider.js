@@ -0,0 +1,134 @@
+// services/providers/FailoverProvider.js
+import TryOnProvider from "./TryOnProvider.js";
+import CircuitBreaker, { CircuitOpenError } from "../CircuitBreaker.js";
+import TryOnError, { ERROR_CODES, isBackendFailure } from "../TryOnError.js";
+
+/**
+ * Runs each try-on on the first healthy backend of an ordered list (e.g. several
+ * Gradio spaces, or one space with several HF tokens), failing over to the next
+ * when one errors. Every backend has its own circuit breaker, so a space that is
+ * asleep or overloaded is skipped instead of costing every request a timeout.
+ * When all breakers are open the request fails at once with CircuitOpenError.
+ * Only backend failures (see isBackendFailure) trip breakers and fail over; an aborted
+ * or invalid request is rethrown as is.
+ */
+class FailoverProvider extends TryOnProvider {
+  constructor(config = {}) {
+    super(config);
+    if (!config.backends || config.backends.length === 0) {
+      throw new Error("FailoverProvider needs at least one backend.");
+    }
+
+    this.attemptTimeout = config.attemptTimeout || 0; // Per backend; 0 leaves only the service's timeout
+    this.backends = config.backends.map((provider) => ({
+      provider,
+      breaker: new CircuitBreaker({
+        failureThreshold: config.failureThreshold,
+        resetTimeout: config.resetTimeout,
+        now: config.now,
+      }),
+    }));
+  }
+
+  get name() {
+    return this.backends[0].provider.name;
+  }
+
+  /**
+   * The primary backend, so cache keys do not change when a request fails over,
+   * with the categories every backend accepts
+   */
+  describe() {
+    return { ...this.backends[0].provider.describe(), garmentCategories: this.garmentCategories };
+  }
+
+  /**
+   * Only categories every backend supports, so a failover never changes what is accepted
+   */
+  get garmentCategories() {
+    return this.backends.reduce(
+      (categories, { provider }) => categories.filter((category) => provider.garmentCategories.includes(category)),
+      this.backends[0].provider.garmentCategories
+    );
+  }
+
+  describeBackends() {
+    return this.backends.map(({ provider, breaker }, index) => ({
+      index,
+      ...provider.describe(),
+      breaker: breaker.describe(),
+    }));
+  }
+
+  /**
+   * Run `action(provider, signal)` on each available backend in order until one succeeds
+   */
+  async withFailover(action, signal, label, logger = this.logger) {
+    let lastError = null;
+
+    for (const [index, { provider, breaker }] of this.backends.entries()) {
+      if (signal && signal.aborted) break;
+      if (!breaker.tryAcquire()) continue;
+
+      const backend = `${provider.describe().model || provider.name} (#${index})`;
+      try {
+        const result = await this.attempt((attemptSignal) => action(provider, attemptSignal), signal);
+        breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        if ((signal && signal.aborted) || !isBackendFailure(error)) {
+          breaker.release();
+          throw error;
+        }
+        breaker.recordFailure(error);
+        lastError = error;
+        const state = breaker.describe().state;
+        logger.warn(`[FailoverProvider] ${label} failed on ${backend}: ${error.message} (breaker ${state})`);
+      }
+    }
+
+    if (lastError) throw lastError;
+
+    const retryAfter = Math.min(...this.backends.map(({ breaker }) => breaker.retryAfter()));
+    throw new CircuitOpenError(retryAfter);
+  }
+
+  /**
+   * One backend attempt with its own AbortSignal, aborted when the caller gives up
+   * or the attempt outlives attemptTimeout (so a hung backend still counts as failed)
+   */
+  async attempt(run, signal) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+    let timeoutId = null;
+    const stopped = new Promise((_, reject) => {
+      controller.signal.addEventListener("abort", () => reject(new TryOnError(ERROR_CODES.TIMEOUT)), { once: true });
+      if (this.attemptTimeout) timeoutId = setTimeout(() => controller.abort(), this.attemptTimeout);
+    });
+
+    try {
+      return await Promise.race([run(controller.signal), stopped]);
+    } catch (error) {
+      controller.abort();
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      if (signal) signal.removeEventListener("abort", onAbort);
+    }
+  }
+
+  async tryOn(input) {
+    return this.withFailover((provider, signal) => provider.tryOn({ ...input, signal }), input.signal, "Try-on", input.logger);
+  }
+
+  /**
+   * Healthy when any backend is; doubles as the half-open probe for open breakers
+   */
+  async healthCheck() {
+    await this.withFailover((provider) => provider.healthCheck(), null, "Health check");
+  }
+}
+
+export default FailoverProvider;
@@ -0,0 +1,233 @@
+// services/providers/GradioProvider.js
+import axios from "axios";
+import { Client } from "@gradio/client";
+import fs from "fs";
+import path from "path";
+import { Buffer } from "buffer";
+import TryOnProvider from "./TryOnProvider.js";
+import TryOnError, { ERROR_CODES } from "../TryOnError.js";
+
+const MIME_TYPES = { ".jpg": "image/jpeg", ".png": "image/png", ".webp": "image/webp" };
+
+/**
+ * Gradio space running IDM-VTON (default: the public yisol/IDM-VTON space)
+ */
+class GradioProvider extends TryOnProvider {
+  constructor(config = {}) {
+    super(config);
+    this.gradioSpace = config.gradioSpace || "yisol/IDM-VTON";
+    this.endpoint = config.endpoint || "/tryon";
+    this.hfToken = config.hfToken || process.env.HF_TOKEN;
+    // Fail over instead of waiting the minutes a sleeping space can take to wake
+    // (raise VTON_GRADIO_CONNECT_TIMEOUT_MS when there is no other space to fail over to)
+    this.connectTimeout = config.connectTimeout || 30000;
+    this.client = null;
+    this.connecting = null;
+
+    if (!this.hfToken) {
+      this.logger.warn(
+        "WARNING: HF_TOKEN is not set. This is often required for persistent access to crowded spaces."
+      );
+    }
+  }
+
+  get name() {
+    return "gradio";
+  }
+
+  describe() {
+    return {
+      provider: this.name,
+      model: this.gradioSpace,
+      endpoint: this.endpoint,
+      garmentCategories: this.garmentCategories,
+    };
+  }
+
+  /**
+   * IDM-VTON's auto-mask always covers the upper body; lower-body garments and dresses
+   * would need a hand-drawn mask, which this provider does not send
+   */
+  get garmentCategories() {
+    return ["upper"];
+  }
+
+  /**
+   * Initialize Gradio client (lazy loading). Concurrent callers share one connection attempt.
+   */
+  async initializeClient() {
+    if (this.client) return;
+    if (!this.connecting) {
+      this.connecting = this.connect().finally(() => {
+        this.connecting = null;
+      });
+    }
+    await this.connecting;
+  }
+
+  async connect() {
+    let timeoutId = null;
+    try {
+      this.logger.info(
+        `[GradioProvider] Initializing Gradio client for space: ${this.gradioSpace}`
+      );
+      const timeout = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => reject(new Error(`no connection after ${this.connectTimeout}ms`)), this.connectTimeout);
+      });
+      this.client = await Promise.race([Client.connect(this.gradioSpace, { hf_token: this.hfToken }), timeout]);
+      this.logger.info("[GradioProvider] Gradio client initialized successfully");
+    } catch (error) {
+      this.logger.error(
+        `[GradioProvider] Failed to initialize Gradio client: ${error.message}`
+      );
+      throw new TryOnError(ERROR_CODES.UPSTREAM_UNAVAILABLE, null, {
+        details: `AI service connection failed: ${error.message}`,
+      });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Forget the cached client so the next request reconnects, e.g. after the space
+   * restarted or went to sleep and the old session stopped answering
+   */
+  resetClient() {
+    if (!this.client) return;
+    this.logger.warn(`[GradioProvider] Dropping Gradio client for ${this.gradioSpace}; reconnecting on next use`);
+    this.client = null;
+  }
+
+  /**
+   * Wrap a temp file as a File with the MIME type matching its extension
+   */
+  toFile(filePath) {
+    const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || "image/jpeg";
+    return new File([fs.readFileSync(filePath)], path.basename(filePath), { type });
+  }
+
+  /**
+   * Build the IDM-VTON /tryon payload
+   */
+  buildPayload(personImagePath, garmentImagePath, params) {
+    if (!this.garmentCategories.includes(params.garmentCategory)) {
+      throw new TryOnError(ERROR_CODES.INVALID_REQUEST, `The ${this.gradioSpace} space only supports upper-body garments.`);
+    }
+
+    return {
+      dict: {
+        background: this.toFile(personImagePath),
+        layers: [],
+        composite: null,
+      },
+      garm_img: this.toFile(garmentImagePath),
+      garment_des: params.garmentDescription,
+      is_checked: true, // Use the auto-generated mask (the space has no category input)
+      is_checked_crop: params.autoCrop,
+      denoise_steps: params.denoiseSteps,
+      seed: params.seed,
+    };
+  }
+
+  /**
+   * Translate a Gradio status message into a progress update
+   */
+  statusToProgress(message) {
+    const progressData = Array.isArray(message.progress_data) ? message.progress_data[0] : null;
+    const percent = progressData && progressData.length
+      ? Math.round((progressData.index / progressData.length) * 100)
+      : null;
+
+    return {
+      stage: message.stage === "pending" ? "queued" : "processing",
+      position: typeof message.position === "number" ? message.position + 1 : null,
+      queueSize: typeof message.size === "number" ? message.size : null,
+      eta: typeof message.eta === "number" ? Math.round(message.eta) : null,
+      percent,
+    };
+  }
+
+  /**
+   * Follow a submitted prediction's status events until data arrives
+   */
+  async followSubmission(submission, reportProgress) {
+    for await (const message of submission) {
+      if (message.type === "status") {
+        if (message.stage === "error") {
+          throw new Error(message.message || "Gradio prediction failed");
+        }
+        reportProgress(this.statusToProgress(message));
+      } else if (message.type === "data") {
+        return message;
+      }
+    }
+
+    throw new Error("Gradio stream ended without a result");
+  }
+
+  /**
+   * Extract the result image URL from a Gradio data message
+   */
+  extractImageUrl(result) {
+    if (result && Array.isArray(result.data) && result.data.length > 0) {
+      const firstResult = result.data[0];
+      if (firstResult && typeof firstResult === 'object') {
+        return firstResult.url || firstResult.path;
+      } else if (typeof firstResult === 'string') {
+        return firstResult;
+      }
+    }
+    return null;
+  }
+
+  async tryOn({ personImagePath, garmentImagePath, params, reportProgress, signal, logger = this.logger }) {
+    await this.initializeClient();
+
+    let submission;
+    try {
+      submission = this.client.submit(this.endpoint, this.buildPayload(personImagePath, garmentImagePath, params));
+    } catch (error) {
+      this.resetClient();
+      throw error;
+    }
+    // Stop listening to a prediction the service has given up on
+    const onAbort = () => submission.cancel().catch(() => {});
+    signal.addEventListener("abort", onAbort, { once: true });
+
+    let result;
+    try {
+      result = await this.followSubmission(submission, reportProgress);
+    } catch (error) {
+      this.resetClient();
+      throw error;
+    } finally {
+      signal.removeEventListener("abort", onAbort);
+    }
+
+    logger.info("[GradioProvider] Gradio API call succeeded");
+
+    const imageUrl = this.extractImageUrl(result);
+    if (!imageUrl) {
+      logger.error(`[GradioProvider] Response structure: ${JSON.stringify(result, null, 2)}`);
+      throw new Error("Could not extract image URL from Gradio response");
+    }
+
+    logger.info(`[GradioProvider] Image URL extracted: ${imageUrl}`);
+    reportProgress({ stage: "downloading" });
+
+    // Download the result image
+    const response = await axios.get(imageUrl, {
+      responseType: 'arraybuffer',
+      timeout: 30000,
+      signal,
+    });
+
+    return Buffer.from(response.data);
+  }
+
+  async healthCheck() {
+    await this.initializeClient();
+  }
+}
+
+export default GradioProvider;
@@ -0,0 +1,80 @@
+// services/providers/HttpProvider.js
+import axios from "axios";
+import fs from "fs";
+import { Buffer } from "buffer";
+import TryOnProvider from "./TryOnProvider.js";
+import TryOnError, { ERROR_CODES } from "../TryOnError.js";
+
+/**
+ * Generic HTTP/JSON backend, e.g. a self-hosted IDM-VTON behind a small API.
+ *
+ * Request:  POST <url> { personImageBase64, garmentImageBase64, params }
+ * Response: { image: "<base64 or data URI>" } or { url: "<result image URL>" }
+ */
+class HttpProvider extends TryOnProvider {
+  constructor(config = {}) {
+    super(config);
+    this.url = config.url;
+    this.healthUrl = config.healthUrl || null;
+    this.apiKey = config.apiKey || null;
+    this.model = config.model || null;
+
+    if (!this.url) {
+      throw new Error("HttpProvider requires a url (set VTON_HTTP_URL).");
+    }
+  }
+
+  get name() {
+    return "http";
+  }
+
+  describe() {
+    return { provider: this.name, model: this.model || new URL(this.url).host, garmentCategories: this.garmentCategories };
+  }
+
+  headers() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  async tryOn({ personImagePath, garmentImagePath, params, reportProgress, signal }) {
+    reportProgress({ stage: "processing" });
+
+    const response = await axios.post(
+      this.url,
+      {
+        personImageBase64: fs.readFileSync(personImagePath).toString("base64"),
+        garmentImageBase64: fs.readFileSync(garmentImagePath).toString("base64"),
+        params,
+      },
+      { headers: this.headers(), signal, maxBodyLength: Infinity, maxContentLength: Infinity }
+    );
+
+    const { image, url } = response.data || {};
+
+    if (image) {
+      const parts = image.split(";base64,");
+      return Buffer.from(parts.length > 1 ? parts[1] : image, "base64");
+    }
+
+    if (url) {
+      reportProgress({ stage: "downloading" });
+      const download = await axios.get(url, { responseType: "arraybuffer", timeout: 30000, signal });
+      return Buffer.from(download.data);
+    }
+
+    throw new Error("HTTP provider response contained neither image nor url");
+  }
+
+  async healthCheck() {
+    if (!this.healthUrl) return;
+    try {
+      await axios.get(this.healthUrl, { headers: this.headers(), timeout: 10000 });
+    } catch (error) {
+      throw new TryOnError(ERROR_CODES.UPSTREAM_UNAVAILABLE, null, {
+        details: `AI service connection failed: ${error.message}`,
+      });
+    }
+  }
+}
+
+export default HttpProvider;
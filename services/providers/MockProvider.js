@@ -0,0 +1,35 @@
+// services/providers/MockProvider.js
+import fs from "fs";
+import TryOnProvider from "./TryOnProvider.js";
+
+/**
+ * Local stand-in for development and demos: waits a little, reports fake
+ * progress and returns the person image unchanged. Never calls a real model.
+ */
+class MockProvider extends TryOnProvider {
+  constructor(config = {}) {
+    super(config);
+    this.delay = config.delay ?? 2000;
+  }
+
+  get name() {
+    return "mock";
+  }
+
+  describe() {
+    return { provider: this.name, model: "mock", garmentCategories: this.garmentCategories };
+  }
+
+  async tryOn({ personImagePath, reportProgress, signal }) {
+    const steps = 4;
+    for (let step = 0; step < steps; step++) {
+      if (signal.aborted) throw new Error("Mock try-on aborted");
+      reportProgress({ stage: "processing", percent: Math.round((step / steps) * 100) });
+      await new Promise((resolve) => setTimeout(resolve, this.delay / steps));
+    }
+
+    return fs.readFileSync(personImagePath);
+  }
+}
+
+export default MockProvider;
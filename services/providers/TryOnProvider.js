@@ -0,0 +1,65 @@
+// services/providers/TryOnProvider.js
+import { GARMENT_CATEGORIES } from "../tryOnParams.js";
+
+/**
+ * Base class for try-on backends.
+ *
+ * A provider turns a person image and a garment image (temp file paths) into a
+ * result image Buffer. Retries, timeouts and temp file handling stay in
+ * VirtualTryOnService; providers only talk to their backend.
+ */
+class TryOnProvider {
+  constructor(config = {}) {
+    this.logger = config.logger || console;
+  }
+
+  /**
+   * Short identifier used in config and health output (e.g. "gradio")
+   */
+  get name() {
+    throw new Error(`${this.constructor.name} must define a name`);
+  }
+
+  /**
+   * Describe the backend for the health endpoint, including the garment categories it accepts
+   */
+  describe() {
+    return { provider: this.name, model: null, garmentCategories: this.garmentCategories };
+  }
+
+  /**
+   * Garment categories this backend can dress; requests for others are rejected up front
+   */
+  get garmentCategories() {
+    return GARMENT_CATEGORIES;
+  }
+
+  /**
+   * Each backend behind this provider with its circuit breaker state (null without one)
+   */
+  describeBackends() {
+    return [{ index: 0, ...this.describe(), breaker: null }];
+  }
+
+  /**
+   * Run one try-on.
+   * @param {object} input
+   * @param {string} input.personImagePath - Temp file with the person image
+   * @param {string} input.garmentImagePath - Temp file with the garment image
+   * @param {object} input.params - Validated generation parameters (see tryOnParams.js)
+   * @param {function} input.reportProgress - Called with { stage, position, queueSize, eta, percent }
+   * @param {AbortSignal} input.signal - Aborted when the service gives up on this attempt
+   * @param {object} [input.logger] - Logger for this try-on (carries the requestId); defaults to this.logger
+   * @returns {Promise<Buffer>} The result image
+   */
+  async tryOn(input) {
+    throw new Error(`${this.constructor.name} does not implement tryOn()`);
+  }
+
+  /**
+   * Check that the backend is reachable. Throws on failure.
+   */
+  async healthCheck() {}
+}
+
+export default TryOnProvider;
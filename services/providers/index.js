@@ -0,0 +1,72 @@
+// services/providers/index.js
+import GradioProvider from "./GradioProvider.js";
+import HttpProvider from "./HttpProvider.js";
+import MockProvider from "./MockProvider.js";
+import FailoverProvider from "./FailoverProvider.js";
+
+const PROVIDERS = {
+  gradio: GradioProvider,
+  http: HttpProvider,
+  mock: MockProvider,
+};
+
+const readList = (value) => (value || "").split(",").map((entry) => entry.trim());
+
+/**
+ * Create a try-on provider by name ("gradio", "http" or "mock"), behind a circuit breaker.
+ * For gradio, config.gradioSpaces / config.hfTokens (parallel lists) add failover
+ * backends in order; a missing token falls back to config.hfToken.
+ */
+export const createProvider = (name = "gradio", config = {}) => {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown try-on provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(", ")}`);
+  }
+
+  let backends = [config];
+  if (name === "gradio" && config.gradioSpaces && config.gradioSpaces.length > 0) {
+    const tokens = config.hfTokens || [];
+    backends = config.gradioSpaces.map((gradioSpace, index) => ({
+      ...config,
+      gradioSpace,
+      hfToken: tokens[index] || config.hfToken,
+    }));
+  }
+
+  return new FailoverProvider({
+    backends: backends.map((backendConfig) => new Provider(backendConfig)),
+    failureThreshold: config.failureThreshold,
+    resetTimeout: config.resetTimeout,
+    attemptTimeout: config.attemptTimeout,
+    logger: config.logger,
+  });
+};
+
+/**
+ * Read provider selection and settings from environment variables
+ */
+export const providerConfigFromEnv = (env = process.env) => ({
+  name: env.VTON_PROVIDER || "gradio",
+  config: {
+    // circuit breaker / failover
+    failureThreshold: env.VTON_BREAKER_FAILURES ? parseInt(env.VTON_BREAKER_FAILURES, 10) : undefined,
+    resetTimeout: env.VTON_BREAKER_RESET_MS ? parseInt(env.VTON_BREAKER_RESET_MS, 10) : undefined,
+    attemptTimeout: env.VTON_BACKEND_TIMEOUT_MS ? parseInt(env.VTON_BACKEND_TIMEOUT_MS, 10) : undefined,
+    // gradio
+    gradioSpace: env.VTON_GRADIO_SPACE,
+    gradioSpaces: env.VTON_GRADIO_SPACES ? readList(env.VTON_GRADIO_SPACES).filter(Boolean) : undefined,
+    hfTokens: env.VTON_GRADIO_TOKENS ? readList(env.VTON_GRADIO_TOKENS) : undefined,
+    connectTimeout: env.VTON_GRADIO_CONNECT_TIMEOUT_MS ? parseInt(env.VTON_GRADIO_CONNECT_TIMEOUT_MS, 10) : undefined,
+    endpoint: env.VTON_GRADIO_ENDPOINT,
+    hfToken: env.HF_TOKEN,
+    // http
+    url: env.VTON_HTTP_URL,
+    healthUrl: env.VTON_HTTP_HEALTH_URL,
+    apiKey: env.VTON_HTTP_API_KEY,
+    model: env.VTON_HTTP_MODEL,
+    // mock
+    delay: env.VTON_MOCK_DELAY_MS ? parseInt(env.VTON_MOCK_DELAY_MS, 10) : undefined,
+  },
+});
+
+export { GradioProvider, HttpProvider, MockProvider, FailoverProvider };
@@ -0,0 +1,123 @@
+// services/tryOnMetrics.js
+import MetricsRegistry from "./Metrics.js";
+
+const BREAKER_STATE_VALUES = { closed: 0, half_open: 1, open: 2 };
+
+/**
+ * The `merchant` label: the API key's first characters ("vton_" plus 8 hex), enough to
+ * tell merchants apart without exposing a usable key. "none" for keyless requests.
+ */
+export const merchantLabel = (merchant) => (merchant && merchant.key ? merchant.key.slice(0, 13) : "none");
+
+/**
+ * Seconds since a process.hrtime.bigint() timestamp
+ */
+export const secondsSince = (started) => Number(process.hrtime.bigint() - started) / 1e9;
+
+/**
+ * The try-on service's metrics. Call watch(queue, service) so queue depth and
+ * breaker state are read at scrape time.
+ */
+export const createTryOnMetrics = () => {
+  const registry = new MetricsRegistry();
+  const sources = { queue: null, service: null };
+
+  return {
+    registry,
+
+    watch(queue, service) {
+      sources.queue = queue;
+      sources.service = service;
+    },
+
+    httpRequests: registry.counter({
+      name: "vton_http_requests_total",
+      help: "Try-on API requests by route, status and error code (none on success).",
+      labelNames: ["route", "method", "status", "code", "merchant"],
+    }),
+    tryOns: registry.counter({
+      name: "vton_tryons_total",
+      help: "Finished try-on jobs by outcome (succeeded, cached or failed) and error code.",
+      labelNames: ["outcome", "code", "merchant"],
+    }),
+    backendCalls: registry.counter({
+      name: "vton_backend_calls_total",
+      help: "Calls to the AI backend, including retries, by outcome and error code.",
+      labelNames: ["provider", "outcome", "code", "merchant"],
+    }),
+    retries: registry.counter({
+      name: "vton_backend_retries_total",
+      help: "Backend calls retried after a failure, by the error that caused the retry.",
+      labelNames: ["provider", "code", "merchant"],
+    }),
+    uploadSeconds: registry.histogram({
+      name: "vton_upload_duration_seconds",
+      help: "Time from receiving a try-on request to having both images validated and normalized (includes URL downloads).",
+      labelNames: ["merchant"],
+      buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    }),
+    inferenceSeconds: registry.histogram({
+      name: "vton_inference_duration_seconds",
+      help: "Time the AI backend took to produce a result, queue wait at the backend included.",
+      labelNames: ["provider", "merchant"],
+      buckets: [1, 2.5, 5, 10, 20, 30, 45, 60, 90, 120, 180],
+    }),
+    downloadSeconds: registry.histogram({
+      name: "vton_result_download_duration_seconds",
+      help: "Time to download the result image from the backend (providers that return a URL).",
+      labelNames: ["provider", "merchant"],
+      buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    }),
+    imageBytes: registry.histogram({
+      name: "vton_image_bytes",
+      help: "Size of incoming person/garment images as received, and of result images.",
+      labelNames: ["image", "merchant"],
+      buckets: [50e3, 100e3, 250e3, 500e3, 1e6, 2.5e6, 5e6, 10e6, 20e6],
+    }),
+    tryOnsInFlight: registry.gauge({
+      name: "vton_tryons_in_flight",
+      help: "Accepted try-on jobs that have not finished (queued or running).",
+      labelNames: ["merchant"],
+    }),
+    backendInFlight: registry.gauge({
+      name: "vton_backend_calls_in_flight",
+      help: "Calls to the AI backend in progress.",
+      labelNames: ["provider"],
+    }),
+    queueJobs: registry.gauge({
+      name: "vton_queue_jobs",
+      help: "Jobs in the try-on queue by state.",
+      labelNames: ["state"],
+      collect: (gauge) => {
+        if (!sources.queue) return;
+        const { pending, running } = sources.queue.stats();
+        gauge.set({ state: "pending" }, pending);
+        gauge.set({ state: "running" }, running);
+      },
+    }),
+    breakerState: registry.gauge({
+      name: "vton_backend_breaker_state",
+      help: "Circuit breaker per backend: 0 closed, 1 half-open, 2 open.",
+      labelNames: ["backend", "model"],
+      collect: (gauge) => {
+        if (!sources.service) return;
+        sources.service.describeBackends().forEach((backend) => {
+          const state = backend.breaker ? BREAKER_STATE_VALUES[backend.breaker.state] : 0;
+          gauge.set({ backend: backend.index, model: backend.model || backend.provider }, state);
+        });
+      },
+    }),
+  };
+};
+
+let sharedMetrics = null;
+
+/**
+ * Metrics shared by the routes, the service and /metrics
+ */
+export const getTryOnMetrics = () => {
+  if (!sharedMetrics) {
+    sharedMetrics = createTryOnMetrics();
+  }
+  return sharedMetrics;
+};
@@ -0,0 +1,93 @@
+// services/tryOnParams.js
+
+// Every category a backend may support; see TryOnProvider#garmentCategories for what the active one does
+export const GARMENT_CATEGORIES = ["upper", "lower", "dress"];
+
+export const DEFAULT_PARAMS = Object.freeze({
+  garmentDescription: "Try-on",
+  garmentCategory: "upper",
+  autoCrop: false,
+  denoiseSteps: 30,
+  seed: 42,
+});
+
+export const PARAM_BOUNDS = Object.freeze({
+  garmentDescriptionMaxLength: 200,
+  denoiseSteps: { min: 20, max: 40 }, // Range exposed by the IDM-VTON space
+  seed: { min: 0, max: 2147483647 },
+});
+
+const toBoolean = (value) => {
+  if (typeof value === "boolean") return value;
+  if (value === "true" || value === "1" || value === 1) return true;
+  if (value === "false" || value === "0" || value === 0) return false;
+  return null;
+};
+
+const toInteger = (value) => {
+  const number = typeof value === "number" ? value : Number(value);
+  return Number.isInteger(number) ? number : null;
+};
+
+/**
+ * Validate user-supplied generation parameters and fill in defaults.
+ * Accepts strings as well as typed values so form fields and data-* attributes work.
+ * options.garmentCategories limits garmentCategory to what the backend supports.
+ * Returns { params, errors }; `errors` is empty when the input is valid.
+ */
+export const validateTryOnParams = (input = {}, { garmentCategories = GARMENT_CATEGORIES } = {}) => {
+  const params = { ...DEFAULT_PARAMS };
+  const errors = [];
+  const isSet = (value) => value !== undefined && value !== null && value !== "";
+
+  if (isSet(input.garmentDescription)) {
+    const description = String(input.garmentDescription).trim();
+    if (description.length > PARAM_BOUNDS.garmentDescriptionMaxLength) {
+      errors.push(`garmentDescription must be at most ${PARAM_BOUNDS.garmentDescriptionMaxLength} characters.`);
+    } else if (description) {
+      params.garmentDescription = description;
+    }
+  }
+
+  if (isSet(input.garmentCategory)) {
+    const category = String(input.garmentCategory).toLowerCase();
+    if (!GARMENT_CATEGORIES.includes(category)) {
+      errors.push(`garmentCategory must be one of: ${GARMENT_CATEGORIES.join(", ")}.`);
+    } else if (!garmentCategories.includes(category)) {
+      errors.push(`garmentCategory "${category}" is not supported by this try-on backend (supported: ${garmentCategories.join(", ")}).`);
+    } else {
+      params.garmentCategory = category;
+    }
+  }
+
+  if (isSet(input.autoCrop)) {
+    const autoCrop = toBoolean(input.autoCrop);
+    if (autoCrop === null) {
+      errors.push("autoCrop must be true or false.");
+    } else {
+      params.autoCrop = autoCrop;
+    }
+  }
+
+  if (isSet(input.denoiseSteps)) {
+    const steps = toInteger(input.denoiseSteps);
+    const { min, max } = PARAM_BOUNDS.denoiseSteps;
+    if (steps === null || steps < min || steps > max) {
+      errors.push(`denoiseSteps must be an integer between ${min} and ${max}.`);
+    } else {
+      params.denoiseSteps = steps;
+    }
+  }
+
+  if (isSet(input.seed)) {
+    const seed = toInteger(input.seed);
+    const { min, max } = PARAM_BOUNDS.seed;
+    if (seed === null || seed < min || seed > max) {
+      errors.push(`seed must be an integer between ${min} and ${max}.`);
+    } else {
+      params.seed = seed;
+    }
+  }
+
+  return { params, errors };
+};